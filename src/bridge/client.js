@@ -0,0 +1,287 @@
+// Browser client for the WebSocket bridge (see core/ws-bridge.js).
+// The desktop app hosting the bridge runs a room session on our behalf; this
+// page only shows what it forwards and sends text back. The access code can
+// come in the link's #fragment, which never leaves the browser.
+
+// DOM elements
+const setupForm = document.getElementById('setup');
+const nameInput = document.getElementById('name-input');
+const codeInput = document.getElementById('code-input');
+const joinBtn = document.getElementById('join-btn');
+const setupStatus = document.getElementById('setup-status');
+const chat = document.getElementById('chat');
+const roomName = document.getElementById('room-name');
+const peersEl = document.getElementById('peers');
+const messagesEl = document.getElementById('messages');
+const typingEl = document.getElementById('typing');
+const composer = document.getElementById('composer');
+const messageInput = document.getElementById('message-input');
+
+// Application state
+let socket = null;
+let joined = false;
+let nextRequestId = 1;
+let pendingRequests = new Map(); // request id -> { resolve, reject }
+let messageElements = new Map(); // message ID -> its element on screen
+
+// Initialize the application
+function init() {
+    nameInput.value = localStorage.getItem('bridgeName') || '';
+    codeInput.value = decodeURIComponent(location.hash.slice(1));
+    if (codeInput.value) {
+        history.replaceState(null, '', location.pathname); // Keep the code out of the address bar
+    }
+
+    setupForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        connect();
+    });
+    composer.addEventListener('submit', (e) => {
+        e.preventDefault();
+        sendMessage();
+    });
+    messageInput.addEventListener('input', () => {
+        if (messageInput.value.trim()) {
+            request('send-typing').catch(() => {});
+        }
+    });
+    document.addEventListener('visibilitychange', markRead);
+
+    (nameInput.value ? codeInput : nameInput).focus();
+}
+
+// Identity on the bridge is picked by this random key, so we keep the same one
+function getClientKey() {
+    let key = localStorage.getItem('bridgeClientKey');
+    if (!key) {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        key = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        localStorage.setItem('bridgeClientKey', key);
+    }
+    return key;
+}
+
+// Connection
+
+function connect() {
+    const accessCode = codeInput.value.trim();
+    if (!accessCode) {
+        showStatus('Enter the access code shown on the desktop app', true);
+        return;
+    }
+
+    localStorage.setItem('bridgeName', nameInput.value.trim());
+    joinBtn.disabled = true;
+    showStatus('Joining...');
+
+    const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+    socket = new WebSocket(`${protocol}//${location.host}/`);
+    socket.addEventListener('open', () => {
+        socket.send(JSON.stringify({ type: 'auth', accessCode, name: nameInput.value.trim(), clientKey: getClientKey() }));
+    });
+    socket.addEventListener('message', (e) => handleFrame(JSON.parse(e.data)));
+    socket.addEventListener('close', (e) => {
+        pendingRequests.forEach(({ reject }) => reject(new Error('Disconnected')));
+        pendingRequests.clear();
+
+        if (joined) {
+            addSystemMessage(`Disconnected from the bridge${e.reason ? `: ${e.reason}` : ''}`);
+            messageInput.disabled = true;
+        } else {
+            showStatus(e.reason || 'Could not reach the bridge', true);
+            joinBtn.disabled = false;
+        }
+        joined = false;
+    });
+}
+
+function handleFrame(frame) {
+    switch (frame.type) {
+        case 'joined':
+            showChat(frame);
+            break;
+        case 'result':
+            settleRequest(frame);
+            break;
+        case 'event':
+            handleEvent(frame.event, frame.payload);
+            break;
+        case 'error':
+            showStatus(frame.error, true);
+            break;
+    }
+}
+
+function request(action, data = {}) {
+    if (!joined) {
+        return Promise.reject(new Error('Not connected'));
+    }
+    const id = nextRequestId++;
+    socket.send(JSON.stringify({ type: 'request', id, action, data }));
+    return new Promise((resolve, reject) => pendingRequests.set(id, { resolve, reject }));
+}
+
+function settleRequest({ id, success, result, error }) {
+    const pending = pendingRequests.get(id);
+    if (!pending) return;
+    pendingRequests.delete(id);
+    if (success) {
+        pending.resolve(result);
+    } else {
+        pending.reject(new Error(error));
+    }
+}
+
+function handleEvent(event, payload) {
+    if (event === 'new-message') {
+        addMessage(payload, false);
+        markRead();
+    } else if (event === 'new-direct-message') {
+        addMessage(payload.message, true);
+    } else if (event === 'message-updated') {
+        updateMessage(payload);
+    } else if (event === 'history-received') {
+        payload.forEach(message => addMessage(message, false));
+    } else if (event === 'peers-updated') {
+        renderPeers(payload);
+    } else if (event === 'peer-event') {
+        addSystemMessage(`${payload.displayName} ${payload.event === 'joined' ? 'joined' : 'left'}`);
+    } else if (event === 'typing-changed') {
+        renderTyping(payload);
+    }
+}
+
+// UI
+
+function showChat({ roomName: name, displayName, fingerprint, messages, peers }) {
+    joined = true;
+    document.title = `${name} - Local Network Chat`;
+    roomName.textContent = `${name} • ${displayName}`;
+    roomName.title = `Your identity key: ${fingerprint}`;
+    setupForm.style.display = 'none';
+    chat.style.display = 'flex';
+
+    messages.forEach(message => addMessage(message, false));
+    renderPeers(peers);
+    markRead();
+    messageInput.focus();
+}
+
+async function sendMessage() {
+    const text = messageInput.value.trim();
+    if (!text) return;
+
+    messageInput.value = '';
+    try {
+        addMessage(await request('send-message', { text }), false);
+    } catch (error) {
+        messageInput.value = text;
+        addSystemMessage(`Failed to send: ${error.message}`);
+    }
+}
+
+function markRead() {
+    if (joined && document.visibilityState === 'visible') {
+        request('mark-read').catch(() => {});
+    }
+}
+
+function addMessage(message, isPrivate) {
+    if (messageElements.has(message.id)) return;
+
+    const messageDiv = createMessageElement(message, isPrivate);
+    messageElements.set(message.id, messageDiv);
+
+    // Keep following the conversation unless scrolled up to read
+    const atBottom = messagesEl.scrollHeight - messagesEl.scrollTop - messagesEl.clientHeight < 40;
+    insertByTime(messageDiv, message.timestamp);
+    if (atBottom) {
+        messagesEl.scrollTop = messagesEl.scrollHeight;
+    }
+}
+
+// An edit or deletion
+function updateMessage(message) {
+    const existing = messageElements.get(message.id);
+    if (!existing) return;
+
+    const messageDiv = createMessageElement(message, false);
+    messageDiv.dataset.timestamp = existing.dataset.timestamp;
+    existing.replaceWith(messageDiv);
+    messageElements.set(message.id, messageDiv);
+}
+
+function createMessageElement(message, isPrivate) {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = `message ${isPrivate ? 'private' : ''}`;
+
+    const timeSpan = document.createElement('span');
+    timeSpan.className = 'message-time';
+    timeSpan.textContent = new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+    const authorSpan = document.createElement('span');
+    authorSpan.className = 'message-author';
+    authorSpan.textContent = `${message.sender || 'Anonymous'}${isPrivate ? ' (private)' : ''}`;
+    if (message.fingerprint) {
+        authorSpan.title = `Key ${message.fingerprint}`;
+    }
+
+    const textSpan = document.createElement('span');
+    textSpan.textContent = message.deletedAt ? 'message deleted' : getText(message);
+
+    messageDiv.appendChild(timeSpan);
+    messageDiv.appendChild(authorSpan);
+    messageDiv.appendChild(textSpan);
+    if (message.editedAt && !message.deletedAt) {
+        const editedSpan = document.createElement('span');
+        editedSpan.className = 'message-meta';
+        editedSpan.textContent = ' (edited)';
+        messageDiv.appendChild(editedSpan);
+    }
+    return messageDiv;
+}
+
+// History can arrive after newer messages, so keep the pane in time order
+function insertByTime(element, timestamp) {
+    element.dataset.timestamp = String(timestamp);
+    const later = Array.from(messagesEl.children).find(child => Number(child.dataset.timestamp) > timestamp);
+    messagesEl.insertBefore(element, later || null);
+}
+
+function getText(message) {
+    const files = new Map((message.files || []).map(file => [file.id, file]));
+    return (message.structure || [])
+        .map(item => (item.type === 'text' ? item.content : `[file: ${(files.get(item.id) || { name: 'file' }).name}]`))
+        .join('');
+}
+
+function addSystemMessage(text) {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'system-message';
+    messageDiv.textContent = text;
+    insertByTime(messageDiv, Date.now());
+    messagesEl.scrollTop = messagesEl.scrollHeight;
+}
+
+function renderPeers(peers) {
+    const names = peers.map(peer => peer.displayName);
+    peersEl.textContent = names.length === 0 ? 'Nobody else is here yet' : `Online: ${names.join(', ')}`;
+}
+
+function renderTyping(typing) {
+    const names = typing.map(peer => peer.displayName);
+    if (names.length === 0) {
+        typingEl.textContent = '';
+    } else if (names.length === 1) {
+        typingEl.textContent = `${names[0]} is typing…`;
+    } else {
+        typingEl.textContent = `${names.join(', ')} are typing…`;
+    }
+}
+
+function showStatus(message, isError = false) {
+    setupStatus.textContent = message;
+    setupStatus.className = `status ${isError ? 'error' : ''}`;
+}
+
+init();
@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const {
+  ChatNode,
+  UdpTransport,
+  Identity,
+  KnownPeerKeys,
+  protocol
+} = require('./core');
+
+// Command-line client
+// The same ChatNode the desktop app runs, driven from a terminal: lines on
+// stdin become messages and incoming messages go to stdout. With --bot, a
+// handler module is also called for every incoming message.
+
+const USAGE = `Usage: localchat join <room> [options]
+
+Options:
+  --name <name>          Display name (default: Anonymous)
+  --passphrase <text>    Room passphrase (or set LOCALCHAT_PASSPHRASE)
+  --seed <host:port,...> Peers to contact directly where broadcast is blocked
+  --discovery <mode>     broadcast, multicast or both (default: broadcast)
+  --data-dir <dir>       Where the identity key and known peer keys live (default: ~/.localchat)
+  --bot <module>         Call this module's exported function for each incoming message
+  --json                 Print one JSON object per message instead of text
+  --verbose              Print protocol diagnostics to stderr
+
+Lines read from stdin are sent to the room. /peers lists who's online,
+/dm <name> <text> sends a direct message, /quit leaves, and a line starting
+with // sends one starting with /. When stdin ends the client waits for its
+messages to be delivered and leaves, unless it's running a bot.`;
+
+const DELIVERY_WAIT = 45000; // Covers every retransmission with backoff
+const FLAGS = ['json', 'verbose'];
+
+// Client state
+let args = null;
+let node = null;
+let handler = null; // Bot module's function, if any
+let printed = new Set(); // Message IDs already shown, so history merges don't repeat them
+let stopping = false;
+let logger = null; // Where the core's protocol diagnostics go; stdout is kept for messages
+
+function parseArgs(argv) {
+  const parsed = { positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      parsed.positional.push(arg);
+      continue;
+    }
+
+    const key = arg.slice(2);
+    if (FLAGS.includes(key)) {
+      parsed[key] = true;
+    } else if (i + 1 < argv.length) {
+      parsed[key] = argv[++i];
+    } else {
+      throw new Error(`${arg} needs a value`);
+    }
+  }
+  return parsed;
+}
+
+// Output
+
+function getText(message) {
+  const files = new Map((message.files || []).map(file => [file.id, file]));
+  return (message.structure || [])
+    .map(item => {
+      if (item.type === 'text') return item.content;
+      const file = files.get(item.id);
+      return file ? `[file: ${file.name}, ${file.size} bytes]` : '[file]';
+    })
+    .join('');
+}
+
+function formatMessage(message, isPrivate) {
+  const time = new Date(message.timestamp).toTimeString().slice(0, 5);
+  const sender = `${message.sender || 'Anonymous'}${isPrivate ? ' (private)' : ''}`;
+  const text = message.deletedAt ? '(message deleted)' : getText(message);
+  return `[${time}] ${sender}: ${text}${message.editedAt && !message.deletedAt ? ' (edited)' : ''}`;
+}
+
+function printMessage(message, isPrivate) {
+  if (printed.has(message.id)) return;
+  printed.add(message.id);
+
+  if (args.json) {
+    process.stdout.write(`${JSON.stringify({ ...message, text: getText(message), private: isPrivate })}\n`);
+  } else {
+    process.stdout.write(`${formatMessage(message, isPrivate)}\n`);
+  }
+}
+
+// Notices stay out of --json output so it can be piped into other tools
+function printNotice(text) {
+  const stream = args.json ? process.stderr : process.stdout;
+  stream.write(`* ${text}\n`);
+}
+
+// Sending
+
+function sendText(text, replyTo) {
+  const { message } = node.sendChatMessage({ structure: [{ type: 'text', content: text }], replyTo });
+  printMessage(message, false);
+  return message;
+}
+
+function sendDirectText(peerId, text) {
+  const { message } = node.sendDirectMessage(peerId, { structure: [{ type: 'text', content: text }] });
+  printMessage(message, true);
+  return message;
+}
+
+function findPeer(name) {
+  const peer = node.getPeers().find(p => p.displayName.toLowerCase() === String(name).toLowerCase());
+  if (!peer) {
+    throw new Error(`Nobody called ${name} is online`);
+  }
+  return peer.peerId;
+}
+
+function handleLine(line) {
+  const text = line.trimEnd();
+  if (!text) return;
+
+  try {
+    if (text === '/quit') {
+      stop();
+    } else if (text === '/peers') {
+      const peers = node.getPeers();
+      printNotice(peers.length === 0
+        ? 'Nobody else is here'
+        : peers.map(peer => `${peer.displayName} (${peer.address}, key ${peer.fingerprint})`).join('\n* '));
+    } else if (text.startsWith('/dm ')) {
+      const [, name, ...words] = text.split(' ');
+      sendDirectText(findPeer(name), words.join(' '));
+    } else if (text.startsWith('/') && !text.startsWith('//')) {
+      printNotice(`Unknown command ${text.split(' ')[0]}`);
+    } else {
+      sendText(text.startsWith('//') ? text.slice(1) : text);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+  }
+}
+
+// Bot mode
+// The handler gets the message (plus its flattened text) and a small API;
+// a string it returns is sent back where the message came from.
+async function runHandler(message, peerId) {
+  const bot = {
+    node,
+    send: text => sendText(text),
+    reply: text => (peerId ? sendDirectText(peerId, text) : sendText(text, message.id)),
+    sendDirect: (toPeerId, text) => sendDirectText(toPeerId, text),
+    peers: () => node.getPeers()
+  };
+
+  try {
+    const result = await handler({ ...message, text: getText(message), private: Boolean(peerId), peerId }, bot);
+    if (typeof result === 'string' && result.trim()) {
+      bot.reply(result);
+    }
+  } catch (error) {
+    console.error(`Bot handler failed: ${error.message}`);
+  }
+}
+
+function handleIncoming(message, peerId) {
+  printMessage(message, Boolean(peerId));
+  if (handler) {
+    runHandler(message, peerId);
+  }
+}
+
+// Session
+
+async function start() {
+  const roomName = protocol.formatName(args.positional[1]);
+  const dataDir = args['data-dir'] || path.join(os.homedir(), '.localchat');
+
+  node = new ChatNode({
+    roomName,
+    displayName: protocol.formatName(args.name),
+    passphrase: args.passphrase || process.env.LOCALCHAT_PASSPHRASE || '',
+    identity: Identity.load(dataDir, logger),
+    knownPeerKeys: new KnownPeerKeys(path.join(dataDir, 'known-peers.json'), logger),
+    logger,
+    transport: new UdpTransport(roomName, {
+      discoveryMode: args.discovery,
+      seedPeers: args.seed ? args.seed.split(',').map(seed => seed.trim()).filter(Boolean) : [],
+      logger
+    })
+  });
+
+  node.on('message', message => handleIncoming(message, null));
+  node.on('direct-message', ({ peerId, message }) => handleIncoming(message, peerId));
+  node.on('history', messages => messages.forEach(message => printMessage(message, false)));
+  node.on('peer-event', ({ event, displayName }) => printNotice(`${displayName} ${event === 'joined' ? 'joined' : 'left'}`));
+  node.on('identity-warning', ({ displayName, knownFingerprint, fingerprint }) => {
+    printNotice(`WARNING: ${displayName} is now using key ${fingerprint}, not ${knownFingerprint} as before`);
+  });
+  node.on('network-error', err => console.error(`Network error: ${err.message}`));
+
+  const { port } = await node.join();
+  printNotice(`Joined ${roomName} on port ${port} as ${node.displayName} (key ${node.identity.fingerprint})`);
+  node.getMessages().forEach(message => printMessage(message, false));
+
+  const input = readline.createInterface({ input: process.stdin, terminal: false });
+  input.on('line', handleLine);
+  input.on('close', () => {
+    // A bot keeps serving; otherwise the end of input is the end of the session
+    if (!handler) {
+      stop();
+    }
+  });
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+async function stop() {
+  if (stopping) return;
+  stopping = true;
+
+  const timeout = new Promise(resolve => setTimeout(resolve, DELIVERY_WAIT).unref());
+  await Promise.race([node.waitForDeliveries(), timeout]);
+  await node.leave();
+  process.exit(0);
+}
+
+async function main() {
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+
+  if (args.positional[0] !== 'join' || !args.positional[1]) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+  if (args.discovery && !protocol.DISCOVERY_MODES.includes(args.discovery)) {
+    console.error(`--discovery must be one of ${protocol.DISCOVERY_MODES.join(', ')}`);
+    process.exit(2);
+  }
+
+  if (args.bot) {
+    handler = require(path.resolve(args.bot));
+    if (typeof handler !== 'function') {
+      console.error('A bot module must export a function (message, bot)');
+      process.exit(2);
+    }
+  }
+
+  // Diagnostics only with --verbose (identity warnings get a notice of their own); errors always, on stderr
+  const verbose = args.verbose ? (...parts) => console.error(...parts) : () => {};
+  logger = { log: verbose, warn: verbose, error: (...parts) => console.error(...parts) };
+
+  try {
+    await start();
+  } catch (error) {
+    console.error(`Could not join ${args.positional[1]}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,2241 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const {
+  DISCOVERY_INTERVAL,
+  PEER_TIMEOUT,
+  PEER_CLEANUP_INTERVAL,
+  ACK_TIMEOUT,
+  MAX_RETRIES,
+  DEFAULT_MAX_CLOCK_SKEW,
+  REPLAY_WINDOW,
+  SALT_WAIT,
+  KEY_WAIT,
+  REKEY_DELAY,
+  FILE_CHUNK_SIZE,
+  MAX_FILE_SIZE,
+  AUTO_DOWNLOAD_MAX_BYTES,
+  TRANSFER_WINDOW,
+  CHUNK_TIMEOUT,
+  HISTORY_PAGE_SIZE,
+  HISTORY_PAGE_BYTES,
+  HISTORY_TIMEOUT,
+  HISTORY_STREAM_TTL,
+  ANTI_ENTROPY_INTERVAL,
+  DIGEST_BUCKET,
+  DIGEST_MAX_BUCKETS,
+  DIGEST_MAX_IDS,
+  MAX_REACTION_LENGTH,
+  TYPING_INTERVAL,
+  TYPING_TIMEOUT,
+  MESSAGE_TYPES,
+  generatePeerId,
+  generateMessageId
+} = require('./protocol');
+const {
+  encrypt,
+  decrypt,
+  getEnvelopeAAD,
+  deriveRoomKey,
+  getPassphraseCheck,
+  getMembershipProof,
+  verifyMembershipProof,
+  exportPublicKey,
+  derivePairKey,
+  getFingerprint,
+  verifyPacket,
+  getSignedFields,
+  verifyChatEntry
+} = require('./crypto');
+const { Identity, KnownPeerKeys } = require('./identity');
+
+// Packets we ACK, and re-ACK when a retransmission shows the ACK got lost
+const RELIABLE_TYPES = [
+  MESSAGE_TYPES.MESSAGE,
+  MESSAGE_TYPES.DIRECT_MESSAGE,
+  MESSAGE_TYPES.EDIT,
+  MESSAGE_TYPES.DELETE,
+  MESSAGE_TYPES.REACTION
+];
+
+// ChatNode
+// One session in one room: the transport, peer table, message log, room keys
+// and everything that keeps them in sync with the other members. It knows
+// nothing about Electron; whoever owns it listens for these events:
+//   'message'          a new chat message (decorated entry)
+//   'direct-message'   { peerId, message } a private message from one peer
+//   'history'          the whole log after history sync changed it
+//   'message-updated'  a message in the log was edited, deleted or reacted to (decorated entry)
+//   'message-status'   { messageId, status, delivered, total } for our own messages
+//   'typing-changed'   [{ peerId, displayName }] of peers currently typing
+//   'read-markers'     [{ displayName, fingerprint, messageId }], the newest message each peer has seen
+//   'file-progress'    { fileId, status, received, total }
+//   'peers-changed'    the current peer list
+//   'peer-event'       { event: 'joined' | 'left' | 'timeout', displayName, timestamp }
+//   'identity-warning' { displayName, knownFingerprint, fingerprint, timestamp }
+//   'network-error'    an Error from the transport
+class ChatNode extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    if (!options.transport) {
+      throw new Error('A transport is required');
+    }
+
+    const clockSkew = options.maxClockSkew === undefined ? DEFAULT_MAX_CLOCK_SKEW : Number(options.maxClockSkew);
+    if (!Number.isFinite(clockSkew) || clockSkew < 5000) {
+      throw new Error('Clock skew window must be at least 5 seconds');
+    }
+
+    this.roomName = options.roomName;
+    this.displayName = options.displayName || 'Anonymous';
+    this.peerId = generatePeerId();
+    this.transport = options.transport;
+    this.identity = options.identity || Identity.generate(); // Persistent per install when given
+    this.knownPeerKeys = options.knownPeerKeys || new KnownPeerKeys(); // displayName -> fingerprint, trust-on-first-use
+    this.maxClockSkew = clockSkew;
+    this.saltWait = options.saltWait === undefined ? SALT_WAIT : options.saltWait;
+    this.logger = options.logger || console; // Protocol diagnostics: log, warn and error
+    this.port = null;
+    this.joined = false;
+
+    this.peers = new Map(); // peerId -> { address, port, lastSeen, displayName, publicKey, dhPublicKey, hasTimedOut }
+    this.messages = []; // In-memory message storage
+    this.directMessages = new Map(); // peerId -> entries, never part of history sync
+    this.historyStore = options.historyStore || null; // Opt-in on-disk copy of messages (see history-store.js)
+
+    this.roomPassphrase = options.passphrase || '';
+    this.roomKey = null; // Key for the current epoch
+    this.roomSalt = null; // Random per-room salt, hex
+    this.baseKey = null; // scrypt(passphrase, roomSalt) - the epoch 0 key
+    this.passphraseCheck = null;
+    this.keyEpoch = 0;
+    this.keyEpochOwner = null; // peerId that issued the current epoch's key
+    this.roomKeys = new Map(); // epoch -> key
+    this.dhKeyPair = null; // X25519 keypair for this session, used to hand out rekeyed keys
+    this.saltWaiter = null;
+    this.keyWaiters = []; // { epoch, resolve }
+    this.reconcilingSalt = false;
+    this.rekeyTimer = null;
+    this.lastKeyRequest = 0;
+
+    this.sendSequence = 0; // Sequence number of the last packet we sent
+    this.replayWindows = new Map(); // "publicKey:peerId" -> { highest, seen }
+    this.processedMessages = new Set(); // Track processed message IDs to prevent duplicates
+    this.identityWarnings = new Set(); // "name fingerprint" pairs already warned about this session
+
+    // Ephemeral signals - never in messages, history or the store
+    this.typingPeers = new Map(); // peerId -> { displayName, timer }
+    this.lastTypingSent = 0;
+    this.readMarkers = new Map(); // publicKey -> { displayName, messageId }, so a rejoin moves the old marker
+    this.lastReadSent = null; // messageId of our own newest marker
+
+    this.historySyncs = new Map(); // requestId -> { target, sources: Map peerId -> { received, total, attempts, timer }, timer }
+    this.historyStreams = new Map(); // requestId -> { pages, timer } for history we're serving
+    this.pendingDeliveries = new Map(); // messageId -> { message, targets, acked, total, attempt, timer }
+    this.sharedFiles = new Map(); // fileId -> { manifest, data } for files we hold completely
+    this.incomingTransfers = new Map(); // fileId -> { manifest, chunks, receivedCount, sources, status, ... }
+
+    this.heartbeatTimer = null;
+    this.cleanupTimer = null;
+    this.antiEntropyTimer = null;
+
+    this.onTransportMessage = (buffer, rinfo) => this.handlePacket(buffer, rinfo);
+    this.onTransportError = (err) => this.emit('network-error', err);
+    // Let peers on any newly attached network find us
+    this.onInterfacesChanged = () => this.announcePresence();
+  }
+
+  // Session
+
+  // Bind, settle the room key with whoever is already here and fetch history.
+  // Rejects (and cleans up) on a wrong passphrase, when the key can't be had
+  // or when saved history won't unlock.
+  async join() {
+    try {
+      this.checkPeerKey(this.displayName, this.identity.publicKey);
+      this.dhKeyPair = crypto.generateKeyPairSync('x25519');
+
+      // Start from what we saved last time; peers fill in the rest
+      if (this.historyStore) {
+        const saved = this.mergeHistory(await this.historyStore.open());
+        this.logger.log(`Loaded ${saved} saved messages`);
+      }
+
+      this.transport.on('message', this.onTransportMessage);
+      this.transport.on('error', this.onTransportError);
+      this.transport.on('interfaces-changed', this.onInterfacesChanged);
+      const { port } = await this.transport.bind();
+      this.port = port;
+      this.joined = true;
+      this.logger.log(`Room joined successfully on port ${port}`);
+
+      // Send join message and ask who's already here - their answers carry the room salt
+      this.announcePresence();
+      this.requestPeerStatus();
+      await this.establishRoomKey(await this.waitForRoomSalt(this.saltWait));
+
+      // Keep reminding everyone we're around, starting with the salt we settled on.
+      // Answers from before we held the key couldn't prove membership, so ask again.
+      this.announcePresence();
+      this.requestPeerStatus();
+      this.startHeartbeat();
+      this.cleanupTimer = setInterval(() => this.cleanupPeers(), PEER_CLEANUP_INTERVAL);
+
+      // Request chat history from any existing peers, then keep comparing notes
+      this.requestChatHistory();
+      this.antiEntropyTimer = setInterval(() => this.sendHistoryDigest(), ANTI_ENTROPY_INTERVAL);
+
+      return { port };
+    } catch (error) {
+      this.close();
+      throw error;
+    }
+  }
+
+  async leave() {
+    if (!this.joined) return;
+
+    try {
+      // Send leave message
+      this.broadcastMessage({
+        type: MESSAGE_TYPES.LEAVE,
+        messageId: generateMessageId(),
+        peerId: this.peerId,
+        displayName: this.displayName,
+        timestamp: Date.now()
+      });
+
+      // Small delay to ensure message is sent
+      await new Promise(resolve => setTimeout(resolve, 100));
+    } catch (err) {
+      this.logger.error('Error sending leave message:', err);
+    }
+
+    this.close();
+  }
+
+  // Forget everything about the room (bar what's saved to disk)
+  close() {
+    if (this.historyStore) {
+      this.historyStore.flush();
+    }
+    this.joined = false;
+    this.transport.removeListener('message', this.onTransportMessage);
+    this.transport.removeListener('error', this.onTransportError);
+    this.transport.removeListener('interfaces-changed', this.onInterfacesChanged);
+    this.transport.close();
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    clearInterval(this.cleanupTimer);
+    this.cleanupTimer = null;
+    clearInterval(this.antiEntropyTimer);
+    this.antiEntropyTimer = null;
+    this.clearRoomKeys();
+    this.peers.clear();
+    this.messages = [];
+    this.directMessages.clear();
+    this.clearPendingDeliveries();
+    this.clearFileTransfers();
+    this.processedMessages.clear(); // Clear processed message IDs
+    this.replayWindows.clear();
+    this.sendSequence = 0;
+    this.clearHistorySyncs();
+    this.clearHistoryStreams();
+    this.typingPeers.forEach(typist => clearTimeout(typist.timer));
+    this.typingPeers.clear();
+    this.lastTypingSent = 0;
+    this.readMarkers.clear();
+    this.lastReadSent = null;
+  }
+
+  // Sign, send and track a chat message. File data stays here; peers only get
+  // the manifests and pull the chunks. replyTo is the ID of a message it answers.
+  sendChatMessage({ structure, files = [], replyTo }) {
+    if (!this.joined) {
+      throw new Error('Not in a room');
+    }
+    if (replyTo !== undefined && !this.messages.some(m => m.id === replyTo && !m.reaction)) {
+      throw new Error('The message being replied to is gone');
+    }
+    const tooBig = files.find(file => Buffer.byteLength(file.data, 'base64') > MAX_FILE_SIZE);
+    if (tooBig) {
+      throw new Error(`${tooBig.name} is larger than ${MAX_FILE_SIZE / (1024 * 1024)}MB`);
+    }
+
+    const messageId = generateMessageId();
+
+    // Add to local messages first
+    const localMessage = {
+      id: messageId,
+      sender: this.displayName,
+      structure,
+      files: files.map(file => this.shareFile(file.id, file.name, file.data)),
+      timestamp: Date.now(),
+      replyTo
+    };
+    this.signChatEntry(localMessage);
+
+    const chatMessage = {
+      type: MESSAGE_TYPES.MESSAGE,
+      messageId,
+      peerId: this.peerId,
+      displayName: this.displayName,
+      timestamp: localMessage.timestamp,
+      content: { structure, files: localMessage.files, replyTo, signature: localMessage.signature }
+    };
+
+    this.addMessage(localMessage);
+    this.lastTypingSent = 0; // Receivers stop showing us as typing when this arrives
+
+    // Broadcast to peers and track their ACKs
+    const status = this.sendReliable(chatMessage);
+
+    return { message: this.decorateEntry(localMessage), status };
+  }
+
+  // Edits and deletions
+  // A revision is the whole entry again, re-signed by the author's key over
+  // its new contents plus editedAt or deletedAt, so nobody else can make one.
+  // A deletion leaves a tombstone with the content stripped; it travels
+  // through history sync like any message and wins over any edit.
+
+  editMessage(messageId, { structure }) {
+    const entry = this.getOwnEntry(messageId);
+    if (!Array.isArray(structure) || structure.length === 0) {
+      throw new Error('An edit needs some content');
+    }
+    return this.sendRevision(MESSAGE_TYPES.EDIT, {
+      id: entry.id,
+      sender: entry.sender,
+      structure,
+      files: entry.files.map(({ data, ...manifest }) => manifest),
+      timestamp: entry.timestamp,
+      replyTo: entry.replyTo,
+      editedAt: Date.now()
+    });
+  }
+
+  deleteMessage(messageId) {
+    const entry = this.getOwnEntry(messageId);
+    return this.sendRevision(MESSAGE_TYPES.DELETE, {
+      id: entry.id,
+      sender: entry.sender,
+      structure: [],
+      files: [],
+      timestamp: entry.timestamp,
+      deletedAt: Date.now()
+    });
+  }
+
+  getOwnEntry(messageId) {
+    if (!this.joined) {
+      throw new Error('Not in a room');
+    }
+
+    const entry = this.messages.find(m => m.id === messageId);
+    if (!entry || entry.reaction) {
+      throw new Error('Message not found');
+    }
+    if (entry.publicKey !== this.identity.publicKey) {
+      throw new Error('You can only change your own messages');
+    }
+    if (entry.deletedAt) {
+      throw new Error('That message was deleted');
+    }
+    return entry;
+  }
+
+  sendRevision(type, revised) {
+    this.signChatEntry(revised);
+    this.mergeHistory([revised]);
+
+    const { publicKey, ...content } = revised;
+    const status = this.sendReliable({
+      type,
+      messageId: generateMessageId(),
+      peerId: this.peerId,
+      displayName: this.displayName,
+      timestamp: Date.now(),
+      content
+    });
+
+    return { message: this.decorateEntry(revised), status };
+  }
+
+  // Reactions
+  // Each member's reaction with one emoji to one message is a log entry of its
+  // own, with an ID derived from their key, the message and the emoji. Taking
+  // it back is a revision of that entry, so reactions sync, persist and
+  // converge exactly like messages do. They're folded into their message by
+  // decorateEntry and never shown on their own.
+
+  toggleReaction(messageId, emoji) {
+    if (!this.joined) {
+      throw new Error('Not in a room');
+    }
+    const target = this.messages.find(m => m.id === messageId && !m.reaction);
+    if (!target || target.deletedAt) {
+      throw new Error('Message not found');
+    }
+    if (!isValidEmoji(emoji)) {
+      throw new Error('Not a valid reaction');
+    }
+
+    const id = getReactionId(this.identity.publicKey, messageId, emoji);
+    const existing = this.messages.find(m => m.id === id);
+    const entry = {
+      id,
+      sender: this.displayName,
+      structure: [],
+      files: [],
+      timestamp: existing ? existing.timestamp : Date.now(),
+      reaction: { messageId, emoji, active: !(existing && existing.reaction.active) }
+    };
+    if (existing) {
+      // Strictly later than the last toggle, or it wouldn't win
+      entry.editedAt = Math.max(Date.now(), (existing.editedAt || 0) + 1);
+    }
+    this.signChatEntry(entry);
+    this.mergeHistory([entry]);
+
+    const { publicKey, ...content } = entry;
+    this.sendReliable({
+      type: MESSAGE_TYPES.REACTION,
+      messageId: generateMessageId(),
+      peerId: this.peerId,
+      displayName: this.displayName,
+      timestamp: Date.now(),
+      content
+    });
+
+    return this.decorateEntry(target);
+  }
+
+  handleReaction(message, rinfo) {
+    const content = message.content || {};
+    const entry = {
+      id: content.id,
+      sender: content.sender,
+      structure: content.structure,
+      files: content.files,
+      timestamp: content.timestamp,
+      reaction: content.reaction,
+      editedAt: content.editedAt,
+      publicKey: message.publicKey,
+      signature: content.signature
+    };
+    if (!entry.reaction || !Array.isArray(entry.structure) || !Array.isArray(entry.files)) return;
+
+    // As with revisions, only a toggle we took (or already have a later one of) is ACKed
+    if (this.mergeHistory([entry]) > 0) {
+      this.acknowledge(message, rinfo);
+      const target = this.messages.find(m => m.id === entry.reaction.messageId && !m.reaction);
+      if (target) {
+        this.emit('message-updated', this.decorateEntry(target));
+      }
+    } else if (isValidReactionEntry(entry) && this.hasRevisionOf(entry)) {
+      this.acknowledge(message, rinfo);
+    }
+  }
+
+  // messageId -> [{ emoji, count, senders, own }] for reactions currently in place
+  collectReactions() {
+    const byMessage = new Map();
+    this.messages.forEach(entry => {
+      if (!entry.reaction || !entry.reaction.active) return;
+
+      const { messageId, emoji } = entry.reaction;
+      if (!byMessage.has(messageId)) {
+        byMessage.set(messageId, new Map());
+      }
+      const byEmoji = byMessage.get(messageId);
+      if (!byEmoji.has(emoji)) {
+        byEmoji.set(emoji, { emoji, count: 0, senders: [], own: false });
+      }
+      const summary = byEmoji.get(emoji);
+      summary.count++;
+      summary.senders.push(entry.sender);
+      summary.own = summary.own || entry.publicKey === this.identity.publicKey;
+    });
+
+    const result = new Map();
+    byMessage.forEach((byEmoji, messageId) => result.set(messageId, Array.from(byEmoji.values())));
+    return result;
+  }
+
+  // Direct messages
+  // Unicast to one peer and sealed with a key only the two of us can derive,
+  // from our session X25519 keys (advertised in JOIN/STATUS). Text only: file
+  // chunks travel under the room key.
+  sendDirectMessage(peerId, { structure, files = [] }) {
+    if (!this.joined) {
+      throw new Error('Not in a room');
+    }
+    const peer = this.peers.get(peerId);
+    if (!peer || peer.hasTimedOut || !peer.dhPublicKey) {
+      throw new Error('That peer is no longer in the room');
+    }
+    if (files.length > 0) {
+      throw new Error('Files can\'t be sent in direct messages');
+    }
+
+    const localMessage = {
+      id: generateMessageId(),
+      sender: this.displayName,
+      structure,
+      files: [],
+      timestamp: Date.now(),
+      to: peerId
+    };
+    this.signChatEntry(localMessage);
+
+    const directMessage = {
+      type: MESSAGE_TYPES.DIRECT_MESSAGE,
+      messageId: localMessage.id,
+      peerId: this.peerId,
+      displayName: this.displayName,
+      timestamp: localMessage.timestamp,
+      to: peerId,
+      dhPublicKey: this.getDhPublicKey(),
+      content: { structure, signature: localMessage.signature }
+    };
+
+    this.getDirectThread(peerId).push(localMessage);
+
+    const pairKey = derivePairKey(this.dhKeyPair.privateKey, peer.dhPublicKey);
+    this.sendMessage(directMessage, peer.address, peer.port, pairKey);
+    const status = this.trackDelivery(directMessage, new Set([peerId]));
+
+    return { message: this.decorateEntry(localMessage), status };
+  }
+
+  getDirectThread(peerId) {
+    if (!this.directMessages.has(peerId)) {
+      this.directMessages.set(peerId, []);
+    }
+    return this.directMessages.get(peerId);
+  }
+
+  getDirectMessages(peerId) {
+    return (this.directMessages.get(peerId) || []).map(entry => this.decorateEntry(entry));
+  }
+
+  // Only the addressee can derive the key a DM was sealed with
+  getDirectKey(message) {
+    if (message.to !== this.peerId || !this.dhKeyPair || typeof message.dhPublicKey !== 'string') return null;
+    try {
+      return derivePairKey(this.dhKeyPair.privateKey, message.dhPublicKey);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // Typing and read markers
+  // Unreliable, unlogged broadcasts under the room key: a TYPING packet says
+  // "still typing" and lapses after TYPING_TIMEOUT, a READ packet names the
+  // newest message the sender has seen (and with it everything before it).
+
+  // Call on every keystroke; only one packet goes out per TYPING_INTERVAL
+  sendTyping() {
+    const now = Date.now();
+    if (!this.joined || now - this.lastTypingSent < TYPING_INTERVAL) return;
+    this.lastTypingSent = now;
+
+    this.broadcastMessage({
+      type: MESSAGE_TYPES.TYPING,
+      messageId: generateMessageId(),
+      peerId: this.peerId,
+      displayName: this.displayName,
+      timestamp: now,
+      content: { typing: true }
+    });
+  }
+
+  handleTyping(message) {
+    if (!message.content || message.content.typing !== true || !this.peers.has(message.peerId)) return;
+
+    const typist = this.typingPeers.get(message.peerId);
+    if (typist) {
+      clearTimeout(typist.timer);
+    }
+    this.typingPeers.set(message.peerId, {
+      displayName: message.displayName || 'Anonymous',
+      timer: setTimeout(() => this.clearTypist(message.peerId), TYPING_TIMEOUT)
+    });
+    if (!typist) {
+      this.emit('typing-changed', this.getTypingPeers());
+    }
+  }
+
+  clearTypist(peerId) {
+    const typist = this.typingPeers.get(peerId);
+    if (!typist) return;
+
+    clearTimeout(typist.timer);
+    this.typingPeers.delete(peerId);
+    this.emit('typing-changed', this.getTypingPeers());
+  }
+
+  getTypingPeers() {
+    return Array.from(this.typingPeers.entries()).map(([peerId, typist]) => ({ peerId, displayName: typist.displayName }));
+  }
+
+  // Tell the room we've seen everything up to the newest message someone else
+  // wrote. Returns false when there's nothing new to mark.
+  markRead() {
+    if (!this.joined) return false;
+
+    const latest = this.messages.slice().reverse()
+      .find(entry => !entry.reaction && entry.publicKey !== this.identity.publicKey);
+    if (!latest || latest.id === this.lastReadSent) return false;
+    this.lastReadSent = latest.id;
+
+    this.broadcastMessage({
+      type: MESSAGE_TYPES.READ,
+      messageId: generateMessageId(),
+      peerId: this.peerId,
+      displayName: this.displayName,
+      timestamp: Date.now(),
+      content: { messageId: latest.id }
+    });
+    return true;
+  }
+
+  handleRead(message) {
+    const messageId = message.content && message.content.messageId;
+    if (typeof messageId !== 'string') return;
+
+    // Markers only move forward; a late packet about an older message changes nothing
+    const marker = this.readMarkers.get(message.publicKey);
+    if (marker) {
+      const previous = this.messages.findIndex(m => m.id === marker.messageId);
+      const next = this.messages.findIndex(m => m.id === messageId);
+      if (previous !== -1 && next !== -1 && next < previous) return;
+    }
+
+    this.readMarkers.set(message.publicKey, { displayName: message.displayName || 'Anonymous', messageId });
+    this.emit('read-markers', this.getReadMarkers());
+  }
+
+  getReadMarkers() {
+    return Array.from(this.readMarkers.entries()).map(([publicKey, marker]) => ({
+      displayName: marker.displayName,
+      fingerprint: getFingerprint(publicKey),
+      messageId: marker.messageId
+    }));
+  }
+
+  // We don't know who holds it, so ask everyone in turn
+  downloadFile(manifest) {
+    this.startFileTransfer(manifest, Array.from(this.peers.keys()));
+  }
+
+  getSharedFile(fileId) {
+    return this.sharedFiles.get(fileId);
+  }
+
+  // The log as the UI sees it: messages with their reactions folded in
+  getMessages() {
+    const reactions = this.collectReactions();
+    return this.messages
+      .filter(entry => !entry.reaction)
+      .map(entry => this.decorateEntry(entry, reactions));
+  }
+
+  getPeers() {
+    return Array.from(this.peers.entries()).map(([peerId, peer]) => ({
+      peerId,
+      displayName: peer.displayName,
+      address: peer.address,
+      fingerprint: getFingerprint(peer.publicKey),
+      lastSeen: peer.lastSeen
+    }));
+  }
+
+  // Fingerprint and trust state are worked out locally, never taken from the wire
+  decorateEntry(entry, reactions = null) {
+    if (!entry.publicKey) {
+      return entry;
+    }
+    const fingerprint = getFingerprint(entry.publicKey);
+    const known = this.knownPeerKeys.get(entry.sender);
+    const decorated = { ...entry, fingerprint, keyChanged: Boolean(known && known !== fingerprint) };
+
+    // DMs can't be reacted to, and a deleted message takes its reactions with it
+    if (!entry.to && !entry.deletedAt) {
+      decorated.reactions = (reactions || this.collectReactions()).get(entry.id) || [];
+    }
+    return decorated;
+  }
+
+  // Replay protection
+  // Every packet carries a per-sender sequence number. We remember the highest
+  // one seen from each sender plus which of the REPLAY_WINDOW before it arrived,
+  // so reordered packets get through but nothing is accepted twice. A packet
+  // only counts as seen once we've accepted it (see acceptPacket), so one we
+  // couldn't open yet still gets in when it's retransmitted.
+  isFresh(message) {
+    return Number.isFinite(message.timestamp) && Math.abs(Date.now() - message.timestamp) <= this.maxClockSkew;
+  }
+
+  isNewSequence(message) {
+    if (!Number.isInteger(message.seq) || message.seq < 1) return false;
+
+    // Keyed by identity too, so a forged peer ID can't advance someone else's window
+    const window = this.replayWindows.get(`${message.publicKey}:${message.peerId}`);
+    return !window || (message.seq > window.highest - REPLAY_WINDOW && !window.seen.has(message.seq));
+  }
+
+  recordSequence(message) {
+    const senderKey = `${message.publicKey}:${message.peerId}`;
+    let window = this.replayWindows.get(senderKey);
+    if (!window) {
+      window = { highest: 0, seen: new Set(), lastUsed: 0 };
+      this.replayWindows.set(senderKey, window);
+    }
+
+    window.lastUsed = Date.now();
+    window.seen.add(message.seq);
+    if (message.seq > window.highest) {
+      window.highest = message.seq;
+      window.seen.forEach(seq => {
+        if (seq <= window.highest - REPLAY_WINDOW) {
+          window.seen.delete(seq);
+        }
+      });
+    }
+  }
+
+  // Every restart of a peer starts a new window, so drop the ones gone quiet.
+  // A window can only go once nothing it accepted would still pass isFresh: a
+  // packet stamped up to maxClockSkew off arrived at most that long after its
+  // timestamp, so after twice that any replay of it is stale.
+  pruneReplayWindows() {
+    const cutoff = Date.now() - 2 * this.maxClockSkew;
+    this.replayWindows.forEach((window, senderKey) => {
+      if (window.lastUsed < cutoff) {
+        this.replayWindows.delete(senderKey);
+      }
+    });
+  }
+
+  // Room keys
+  // The room name only picks the port; the key comes from the passphrase via scrypt,
+  // salted with a random per-room salt the first member creates and everyone
+  // advertises in JOIN/STATUS. That passphrase key is epoch 0. A rekey replaces it
+  // with a random key handed to each remaining member over a pairwise X25519 channel,
+  // so the keys someone who has left still holds don't open what follows. Knowing
+  // the passphrase still gets the current key, but only by asking as a peer, which
+  // puts them back in everyone's peer list.
+  getDhPublicKey() {
+    return exportPublicKey(this.dhKeyPair.publicKey);
+  }
+
+  // Fields every JOIN/STATUS carries so others can find the salt and notice rekeys,
+  // and, once we hold the passphrase key, the proof that gets us into their peer tables
+  getKeyAdvertisement() {
+    const dhPublicKey = this.dhKeyPair ? this.getDhPublicKey() : undefined;
+    return {
+      roomSalt: this.roomSalt,
+      passphraseCheck: this.passphraseCheck,
+      keyEpoch: this.keyEpoch,
+      dhPublicKey,
+      proof: this.baseKey && dhPublicKey ? getMembershipProof(this.baseKey, this.peerId, dhPublicKey) : undefined
+    };
+  }
+
+  installRoomKey(epoch, key, owner) {
+    this.roomKeys.set(epoch, key);
+    // Keep the previous epoch around for packets still in flight
+    this.roomKeys.forEach((_, knownEpoch) => {
+      if (knownEpoch < epoch - 1) {
+        this.roomKeys.delete(knownEpoch);
+      }
+    });
+    this.keyEpoch = epoch;
+    this.keyEpochOwner = owner;
+    this.roomKey = key;
+
+    this.keyWaiters = this.keyWaiters.filter(waiter => {
+      if (epoch >= waiter.epoch) {
+        waiter.resolve(true);
+        return false;
+      }
+      return true;
+    });
+  }
+
+  waitForRoomKey(epoch, timeout) {
+    if (this.keyEpoch >= epoch) return Promise.resolve(true);
+    return new Promise(resolve => {
+      const waiter = { epoch, resolve };
+      this.keyWaiters.push(waiter);
+      setTimeout(() => {
+        this.keyWaiters = this.keyWaiters.filter(w => w !== waiter);
+        resolve(false);
+      }, timeout);
+    });
+  }
+
+  // Resolves with the first salt advertisement heard, or null if nobody answers
+  waitForRoomSalt(timeout) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.saltWaiter = null;
+        resolve(null);
+      }, timeout);
+      this.saltWaiter = advertisement => {
+        clearTimeout(timer);
+        this.saltWaiter = null;
+        resolve(advertisement);
+      };
+    });
+  }
+
+  // Look at the key fields of every JOIN/STATUS we hear
+  observeKeyAdvertisement(message) {
+    if (typeof message.roomSalt !== 'string' || !/^[0-9a-f]{32}$/.test(message.roomSalt)) return;
+
+    if (this.saltWaiter) {
+      this.saltWaiter({
+        roomSalt: message.roomSalt,
+        passphraseCheck: message.passphraseCheck,
+        keyEpoch: Number.isInteger(message.keyEpoch) ? message.keyEpoch : 0
+      });
+      return;
+    }
+
+    if (!this.roomSalt) return;
+
+    if (message.roomSalt !== this.roomSalt) {
+      this.reconcileRoomSalt(message);
+    } else if (Number.isInteger(message.keyEpoch) && message.keyEpoch > this.keyEpoch) {
+      // We missed a rekey
+      this.requestRoomKey();
+    }
+  }
+
+  // Two members created the room at the same time with different salts.
+  // The smaller salt wins, provided it belongs to the same passphrase.
+  async reconcileRoomSalt(message) {
+    if (this.reconcilingSalt || message.roomSalt > this.roomSalt) return;
+
+    this.reconcilingSalt = true;
+    try {
+      const candidate = await deriveRoomKey(this.roomPassphrase, message.roomSalt);
+      if (getPassphraseCheck(candidate) !== message.passphraseCheck || !this.roomSalt || message.roomSalt > this.roomSalt) return;
+
+      this.logger.log('Switching to the room salt advertised by', message.displayName);
+      this.roomSalt = message.roomSalt;
+      this.baseKey = candidate;
+      this.passphraseCheck = getPassphraseCheck(candidate);
+      this.roomKeys.clear();
+      this.installRoomKey(0, candidate, null);
+      if (message.keyEpoch > 0) {
+        this.requestRoomKey();
+      }
+    } catch (err) {
+      this.logger.error('Failed to reconcile room salt:', err.message);
+    } finally {
+      this.reconcilingSalt = false;
+    }
+  }
+
+  requestRoomKey() {
+    // Every heartbeat from an up-to-date peer would trigger this, so rate-limit it
+    if (!this.baseKey || Date.now() - this.lastKeyRequest < ACK_TIMEOUT) return;
+    this.lastKeyRequest = Date.now();
+
+    const dhPublicKey = this.getDhPublicKey();
+    this.broadcastMessage({
+      type: MESSAGE_TYPES.KEY_REQUEST,
+      messageId: generateMessageId(),
+      peerId: this.peerId,
+      displayName: this.displayName,
+      timestamp: Date.now(),
+      dhPublicKey,
+      proof: getMembershipProof(this.baseKey, this.peerId, dhPublicKey)
+    });
+  }
+
+  // The passphrase proof is all we ask for: a rekey can't keep out someone who
+  // still knows it, only make them rejoin in the open to get the new key
+  handleKeyRequest(message, rinfo) {
+    if (this.keyEpoch === 0 || !verifyMembershipProof(this.baseKey, message)) return;
+    this.sendKeyGrant(message.peerId, message.dhPublicKey, rinfo.address, rinfo.port);
+  }
+
+  sendKeyGrant(peerId, theirDhPublicKey, address, port) {
+    const dhPublicKey = this.getDhPublicKey();
+    const sealed = encrypt(JSON.stringify({
+      epoch: this.keyEpoch,
+      key: this.roomKey.toString('hex'),
+      owner: this.keyEpochOwner
+    }), derivePairKey(this.dhKeyPair.privateKey, theirDhPublicKey), `${this.peerId}:${peerId}`);
+
+    this.sendMessage({
+      type: MESSAGE_TYPES.KEY_GRANT,
+      messageId: generateMessageId(),
+      peerId: this.peerId,
+      displayName: this.displayName,
+      timestamp: Date.now(),
+      to: peerId,
+      dhPublicKey,
+      proof: getMembershipProof(this.baseKey, this.peerId, dhPublicKey),
+      sealed
+    }, address, port);
+  }
+
+  handleKeyGrant(message) {
+    if (message.to !== this.peerId || !this.dhKeyPair || !verifyMembershipProof(this.baseKey, message)) return;
+
+    let grant;
+    try {
+      const opened = decrypt(message.sealed, derivePairKey(this.dhKeyPair.privateKey, message.dhPublicKey), `${message.peerId}:${this.peerId}`);
+      grant = opened && JSON.parse(opened);
+    } catch (err) {
+      grant = null;
+    }
+    if (!grant || !Number.isInteger(grant.epoch) || typeof grant.key !== 'string') {
+      this.logger.log(`Ignoring unreadable key grant from ${message.displayName}`);
+      return;
+    }
+
+    // Newer epoch wins; two simultaneous rekeys are settled by the smaller owner ID
+    const newer = grant.epoch > this.keyEpoch;
+    const tiebreak = grant.epoch === this.keyEpoch && grant.epoch > 0 && grant.owner < this.keyEpochOwner;
+    if (newer || tiebreak) {
+      this.logger.log(`Received room key for epoch ${grant.epoch} from ${message.displayName}`);
+      this.installRoomKey(grant.epoch, Buffer.from(grant.key, 'hex'), grant.owner);
+    }
+  }
+
+  // Keys held by departed members shouldn't open what comes next. Wait a moment so
+  // several departures share one rekey, then let the lowest remaining peer ID do it.
+  scheduleRekey() {
+    clearTimeout(this.rekeyTimer);
+    this.rekeyTimer = setTimeout(() => {
+      this.rekeyTimer = null;
+      const activePeerIds = Array.from(this.peers.keys()).filter(peerId => !this.peers.get(peerId).hasTimedOut);
+      if (activePeerIds.every(peerId => this.peerId < peerId)) {
+        this.rekey();
+      }
+    }, REKEY_DELAY);
+  }
+
+  // Replace the room key so the keys members who have left still hold stop
+  // working. Returns the new epoch.
+  rekey() {
+    if (!this.roomKey) {
+      throw new Error('Not in a room');
+    }
+
+    this.installRoomKey(this.keyEpoch + 1, crypto.randomBytes(32), this.peerId);
+    this.logger.log(`Rekeyed room to epoch ${this.keyEpoch}`);
+
+    this.peers.forEach((peer, peerId) => {
+      if (!peer.hasTimedOut && peer.dhPublicKey) {
+        this.sendKeyGrant(peerId, peer.dhPublicKey, peer.address, peer.port);
+      }
+    });
+
+    // Anyone who missed their grant will see the new epoch and ask for it
+    this.broadcastMessage(this.createStatusMessage());
+    return this.keyEpoch;
+  }
+
+  // Find out whether the room already has a salt; if nobody answers we're the first
+  // member and create it. Throws if our passphrase doesn't match the room's.
+  async establishRoomKey(advertised) {
+    const roomSalt = advertised ? advertised.roomSalt : crypto.randomBytes(16).toString('hex');
+    const baseKey = await deriveRoomKey(this.roomPassphrase, roomSalt);
+    this.roomSalt = roomSalt;
+    this.baseKey = baseKey;
+    this.passphraseCheck = getPassphraseCheck(baseKey);
+
+    if (advertised && advertised.passphraseCheck !== this.passphraseCheck) {
+      throw new Error('Wrong passphrase for this room');
+    }
+
+    this.installRoomKey(0, baseKey, null);
+
+    // The room has been rekeyed since it was created; a member has to hand us the key
+    if (advertised && advertised.keyEpoch > 0) {
+      this.requestRoomKey();
+      if (!(await this.waitForRoomKey(advertised.keyEpoch, KEY_WAIT))) {
+        throw new Error('Could not get the current room key from peers');
+      }
+    }
+  }
+
+  clearRoomKeys() {
+    clearTimeout(this.rekeyTimer);
+    this.rekeyTimer = null;
+    this.keyWaiters.forEach(waiter => waiter.resolve(false));
+    this.keyWaiters = [];
+    this.saltWaiter = null;
+    this.roomKeys.clear();
+    this.roomKey = null;
+    this.baseKey = null;
+    this.roomSalt = null;
+    this.passphraseCheck = null;
+    this.keyEpoch = 0;
+    this.keyEpochOwner = null;
+    this.dhKeyPair = null;
+  }
+
+  // Identity
+  signPacket(packet) {
+    packet.publicKey = this.identity.publicKey;
+    packet.signature = this.identity.sign(packet);
+  }
+
+  signChatEntry(entry) {
+    entry.publicKey = this.identity.publicKey;
+    entry.signature = this.identity.sign(getSignedFields(entry));
+  }
+
+  // Trust on first use: remember the first key seen for a name, and warn when
+  // the same name later shows up with a different one
+  checkPeerKey(name, publicKey) {
+    if (!name || name === 'Anonymous') return;
+
+    const fingerprint = getFingerprint(publicKey);
+    const known = this.knownPeerKeys.get(name);
+    if (!known) {
+      this.knownPeerKeys.set(name, fingerprint);
+      return;
+    }
+
+    const warningKey = `${name} ${fingerprint}`;
+    if (known !== fingerprint && !this.identityWarnings.has(warningKey)) {
+      this.identityWarnings.add(warningKey);
+      this.logger.warn(`Identity key for ${name} changed from ${known} to ${fingerprint}`);
+      this.emit('identity-warning', {
+        displayName: name,
+        knownFingerprint: known,
+        fingerprint,
+        timestamp: Date.now()
+      });
+    }
+  }
+
+  // Incoming packets
+  handlePacket(buffer, rinfo) {
+    try {
+      const message = JSON.parse(buffer.toString());
+
+      // Skip our own messages immediately
+      if (message.peerId === this.peerId) {
+        return;
+      }
+
+      // Drop anything that isn't signed by the key it claims
+      if (!verifyPacket(message)) {
+        this.logger.log('Dropping unsigned or badly signed packet from', rinfo.address);
+        return;
+      }
+
+      // A peer ID stays bound to the key it first appeared with
+      const knownPeer = this.peers.get(message.peerId);
+      if (knownPeer && knownPeer.publicKey !== message.publicKey) {
+        this.logger.log(`Dropping packet claiming peer ${message.peerId} with a different key`);
+        return;
+      }
+
+      // Reject packets from too far in the past (or future)
+      if (!this.isFresh(message)) {
+        this.logger.log('Dropping stale packet from', rinfo.address);
+        return;
+      }
+
+      // Skip duplicate messages (prevents multi-port duplicates)
+      if (message.messageId && this.processedMessages.has(message.messageId)) {
+        // A retransmission of something we accepted means our ACK was lost, so acknowledge it again
+        if (RELIABLE_TYPES.includes(message.type)) {
+          this.sendAck(message.messageId, rinfo);
+        }
+        return;
+      }
+
+      // Anything past this point must be a packet we haven't accepted before
+      if (!this.isNewSequence(message)) {
+        this.logger.log('Dropping replayed packet from', rinfo.address);
+        return;
+      }
+
+      // Decrypt the message with the room key for its epoch, or our pairwise key for DMs
+      if (message.encrypted) {
+        const key = message.type === MESSAGE_TYPES.DIRECT_MESSAGE
+          ? this.getDirectKey(message)
+          : this.getRoomKeyFor(message);
+        if (!key) return;
+
+        const decrypted = decrypt(message.encrypted, key, getEnvelopeAAD(message));
+        if (decrypted) {
+          message.content = JSON.parse(decrypted);
+        } else {
+          this.logger.log('Failed to decrypt message from', rinfo.address);
+          return;
+        }
+      }
+
+      if (message.type === MESSAGE_TYPES.JOIN || message.type === MESSAGE_TYPES.STATUS) {
+        this.observeKeyAdvertisement(message);
+      }
+
+      // Update peer info for valid peers (a LEAVE shouldn't re-add its sender).
+      // Only proven members get in, so nobody else is waited on for ACKs,
+      // counted in a rekey or handed its key; they can still ask for the salt.
+      const proven = this.isProvenMember(message);
+      const previous = this.peers.get(message.peerId);
+      if (message.peerId && message.type !== MESSAGE_TYPES.LEAVE && (previous || proven)) {
+        const isNewPeer = !previous;
+        this.peers.set(message.peerId, {
+          address: rinfo.address,
+          port: rinfo.port,
+          lastSeen: Date.now(),
+          displayName: message.displayName,
+          publicKey: message.publicKey,
+          dhPublicKey: proven && typeof message.dhPublicKey === 'string' ? message.dhPublicKey : previous && previous.dhPublicKey,
+          hasTimedOut: false // Reset timeout flag when peer is active
+        });
+
+        if (isNewPeer) {
+          this.checkPeerKey(message.displayName, message.publicKey);
+          this.notifyPeerEvent('joined', message.displayName);
+          this.notifyPeersChanged();
+        }
+      }
+
+      this.handleMessage(message, rinfo);
+
+      // Reliable packets are accepted by their handler, and only when it ACKs them
+      if (!RELIABLE_TYPES.includes(message.type)) {
+        this.acceptPacket(message);
+      }
+    } catch (error) {
+      this.logger.error('Error parsing UDP message:', error);
+    }
+  }
+
+  // A packet that opened under one of our keys, or a passphrase proof for the
+  // DH key it advertises (JOIN, STATUS and the key exchange carry one)
+  isProvenMember(message) {
+    if (message.encrypted) {
+      return true;
+    }
+    return verifyMembershipProof(this.baseKey, message);
+  }
+
+  getRoomKeyFor(message) {
+    const epoch = Number.isInteger(message.keyEpoch) ? message.keyEpoch : 0;
+    const key = this.roomKeys.get(epoch);
+    if (!key && epoch > this.keyEpoch) {
+      this.requestRoomKey();
+    }
+    return key || null;
+  }
+
+  handleMessage(message, rinfo) {
+    switch (message.type) {
+      case MESSAGE_TYPES.JOIN:
+        this.handleJoinMessage(message, rinfo);
+        break;
+      case MESSAGE_TYPES.MESSAGE:
+        this.handleChatMessage(message, rinfo);
+        break;
+      case MESSAGE_TYPES.DIRECT_MESSAGE:
+        this.handleDirectMessage(message, rinfo);
+        break;
+      case MESSAGE_TYPES.EDIT:
+      case MESSAGE_TYPES.DELETE:
+        this.handleRevision(message, rinfo);
+        break;
+      case MESSAGE_TYPES.REACTION:
+        this.handleReaction(message, rinfo);
+        break;
+      case MESSAGE_TYPES.TYPING:
+        this.handleTyping(message);
+        break;
+      case MESSAGE_TYPES.READ:
+        this.handleRead(message);
+        break;
+      case MESSAGE_TYPES.ACK:
+        this.handleAckMessage(message);
+        break;
+      case MESSAGE_TYPES.HISTORY:
+        this.handleHistoryMessage(message);
+        break;
+      case MESSAGE_TYPES.HISTORY_REQUEST:
+        this.handleHistoryRequest(message, rinfo);
+        break;
+      case MESSAGE_TYPES.HISTORY_DIGEST:
+        this.handleHistoryDigest(message);
+        break;
+      case MESSAGE_TYPES.STATUS_REQUEST:
+        this.handleStatusRequest(message, rinfo);
+        break;
+      case MESSAGE_TYPES.STATUS:
+        // Heartbeat - the peer table was already refreshed above
+        break;
+      case MESSAGE_TYPES.LEAVE:
+        this.handleLeaveMessage(message);
+        break;
+      case MESSAGE_TYPES.KEY_REQUEST:
+        this.handleKeyRequest(message, rinfo);
+        break;
+      case MESSAGE_TYPES.KEY_GRANT:
+        this.handleKeyGrant(message);
+        break;
+      case MESSAGE_TYPES.FILE_MANIFEST:
+        this.handleFileManifest(message);
+        break;
+      case MESSAGE_TYPES.FILE_REQUEST:
+        this.handleFileRequest(message, rinfo);
+        break;
+      case MESSAGE_TYPES.FILE_CHUNK:
+        this.handleFileChunk(message);
+        break;
+    }
+  }
+
+  handleJoinMessage(message, rinfo) {
+    this.logger.log(`${message.displayName} joined from ${rinfo.address}`);
+    this.resumeTransfersFrom(message.peerId);
+
+    // Don't automatically send history - let the new peer request it
+    // This allows them to choose which peer's history to use
+  }
+
+  handleChatMessage(message, rinfo) {
+    const chatMessage = {
+      id: message.messageId,
+      sender: message.displayName,
+      structure: message.content.structure,
+      files: message.content.files || [],
+      timestamp: message.timestamp,
+      replyTo: message.content.replyTo,
+      publicKey: message.publicKey,
+      signature: message.content.signature
+    };
+
+    if (!verifyChatEntry(chatMessage)) {
+      this.logger.log(`Dropping chat message from ${message.displayName} with a bad signature`);
+      return;
+    }
+
+    this.addMessage(chatMessage);
+    this.clearTypist(message.peerId);
+
+    // Let the sender know we got it
+    this.acknowledge(message, rinfo);
+
+    this.emit('message', this.decorateEntry(chatMessage));
+
+    // Pull small attachments from the sender; big ones wait for downloadFile()
+    chatMessage.files
+      .filter(manifest => manifest && manifest.size <= AUTO_DOWNLOAD_MAX_BYTES)
+      .forEach(manifest => this.startFileTransfer(manifest, [message.peerId]));
+  }
+
+  handleDirectMessage(message, rinfo) {
+    // Unsealed packets can't be DMs
+    if (!message.encrypted || message.to !== this.peerId) return;
+
+    const directMessage = {
+      id: message.messageId,
+      sender: message.displayName,
+      structure: message.content.structure,
+      files: [],
+      timestamp: message.timestamp,
+      to: this.peerId,
+      publicKey: message.publicKey,
+      signature: message.content.signature
+    };
+
+    if (!verifyChatEntry(directMessage)) {
+      this.logger.log(`Dropping direct message from ${message.displayName} with a bad signature`);
+      return;
+    }
+
+    this.getDirectThread(message.peerId).push(directMessage);
+    this.acknowledge(message, rinfo);
+    this.emit('direct-message', { peerId: message.peerId, message: this.decorateEntry(directMessage) });
+  }
+
+  handleRevision(message, rinfo) {
+    const content = message.content || {};
+    const revised = {
+      id: content.id,
+      sender: content.sender,
+      structure: content.structure,
+      files: content.files,
+      timestamp: content.timestamp,
+      replyTo: content.replyTo,
+      editedAt: content.editedAt,
+      deletedAt: content.deletedAt,
+      publicKey: message.publicKey,
+      signature: content.signature
+    };
+
+    const valid = message.type === MESSAGE_TYPES.DELETE
+      ? Number.isFinite(revised.deletedAt)
+      : Number.isFinite(revised.editedAt) && revised.deletedAt === undefined;
+    if (!valid || !Array.isArray(revised.structure) || !Array.isArray(revised.files)) return;
+
+    // Only acknowledge what we accepted, so the author never sees "delivered"
+    // for an edit we threw away. One we already have a later revision of counts.
+    if (this.mergeHistory([revised]) > 0) {
+      this.acknowledge(message, rinfo);
+      this.emit('message-updated', this.decorateEntry(revised));
+    } else if (this.hasRevisionOf(revised)) {
+      this.acknowledge(message, rinfo);
+    }
+  }
+
+  // Whether we hold this revision of an entry, or a later one, from the same author
+  hasRevisionOf(entry) {
+    const current = this.messages.find(m => m.id === entry.id);
+    return Boolean(current && current.publicKey === entry.publicKey &&
+      Boolean(current.reaction) === Boolean(entry.reaction) &&
+      verifyChatEntry(entry) && compareRevisions(current, entry) >= 0);
+  }
+
+  handleAckMessage(message) {
+    const ackFor = message.content && message.content.ackFor;
+    const delivery = ackFor && this.pendingDeliveries.get(ackFor);
+    if (!delivery || delivery.acked.has(message.peerId)) {
+      return;
+    }
+
+    delivery.acked.add(message.peerId);
+    delivery.targets.delete(message.peerId);
+
+    if (delivery.targets.size === 0) {
+      this.finishDelivery(ackFor, 'delivered');
+    } else {
+      this.notifyDeliveryStatus(ackFor, 'sent');
+    }
+  }
+
+  // Pages from every peer that answers are merged; each one is tracked and
+  // re-requested separately so a slow or partial responder can't cut us short
+  handleHistoryMessage(message) {
+    const { requestId, page, pages, history } = message.content;
+    const sync = this.historySyncs.get(requestId);
+    if (!sync || !Array.isArray(history)) return;
+    if (!Number.isInteger(page) || !Number.isInteger(pages) || page < 0 || page >= pages) return;
+    if (sync.target && message.peerId !== sync.target) return;
+
+    let source = sync.sources.get(message.peerId);
+    if (!source) {
+      source = { received: new Set(), total: pages, attempts: 0, timer: null };
+      sync.sources.set(message.peerId, source);
+    }
+    if (pages !== source.total || source.received.has(page)) return;
+
+    source.received.add(page);
+    const added = this.mergeHistory(history);
+    if (added > 0) {
+      this.emit('history', this.getMessages());
+    }
+    this.logger.log(`Received history page ${page + 1}/${pages} from ${message.displayName} (${added} new messages)`);
+
+    clearTimeout(source.timer);
+    source.timer = null;
+    if (source.received.size < source.total) {
+      this.scheduleHistoryRetry(sync, message.peerId);
+    } else if (sync.target) {
+      this.finishHistorySync(requestId);
+    }
+  }
+
+  handleHistoryRequest(message, rinfo) {
+    const { requestId, since = 0, knownIds = [], pages } = message.content || {};
+    if (!requestId) return;
+
+    // A follow-up for pages that got lost on the way
+    if (Array.isArray(pages)) {
+      const stream = this.historyStreams.get(requestId);
+      if (stream) {
+        this.sendHistoryToPeer(requestId, stream.pages, pages, rinfo);
+      }
+      return;
+    }
+
+    // Only send what the requester doesn't already have, from the digest
+    // buckets it asked about or everything since its newest message
+    const known = new Set(knownIds);
+    const buckets = Array.isArray(message.content.buckets) ? new Set(message.content.buckets) : null;
+    const missing = this.messages
+      .filter(m => (buckets ? buckets.has(getDigestBucket(m)) : m.timestamp >= since) && !known.has(getRevisionKey(m)))
+      .map(toHistoryEntry);
+
+    if (missing.length === 0) return;
+
+    const historyPages = paginateHistory(missing);
+    this.historyStreams.set(requestId, {
+      pages: historyPages,
+      timer: setTimeout(() => this.historyStreams.delete(requestId), HISTORY_STREAM_TTL)
+    });
+
+    this.sendHistoryToPeer(requestId, historyPages, historyPages.map((page, index) => index), rinfo);
+  }
+
+  handleStatusRequest(message, rinfo) {
+    // Answer directly so the asker doesn't wait for our next heartbeat
+    this.sendMessage(this.createStatusMessage(), rinfo.address, rinfo.port);
+  }
+
+  handleLeaveMessage(message) {
+    if (this.peers.has(message.peerId)) {
+      this.peers.delete(message.peerId);
+      this.clearTypist(message.peerId);
+      this.notifyPeerEvent('left', message.displayName);
+      this.notifyPeersChanged();
+      this.scheduleRekey();
+    }
+    this.forgetDeliveryTarget(message.peerId);
+  }
+
+  // Presence
+  createStatusMessage() {
+    return {
+      type: MESSAGE_TYPES.STATUS,
+      messageId: generateMessageId(),
+      peerId: this.peerId,
+      displayName: this.displayName,
+      timestamp: Date.now(),
+      ...this.getKeyAdvertisement()
+    };
+  }
+
+  announcePresence() {
+    this.broadcastMessage({
+      type: MESSAGE_TYPES.JOIN,
+      messageId: generateMessageId(),
+      peerId: this.peerId,
+      displayName: this.displayName,
+      timestamp: Date.now(),
+      ...this.getKeyAdvertisement()
+    });
+  }
+
+  // Heartbeats keep us in everyone's peer table while we're quiet
+  startHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = setInterval(() => {
+      this.broadcastMessage(this.createStatusMessage());
+    }, DISCOVERY_INTERVAL);
+  }
+
+  requestPeerStatus() {
+    this.broadcastMessage({
+      type: MESSAGE_TYPES.STATUS_REQUEST,
+      messageId: generateMessageId(),
+      peerId: this.peerId,
+      displayName: this.displayName,
+      timestamp: Date.now()
+    });
+  }
+
+  notifyPeersChanged() {
+    this.emit('peers-changed', this.getPeers());
+  }
+
+  notifyPeerEvent(event, peerName) {
+    this.emit('peer-event', {
+      event,
+      displayName: peerName || 'Anonymous',
+      timestamp: Date.now()
+    });
+  }
+
+  // Cleanup inactive peers
+  cleanupPeers() {
+    const now = Date.now();
+    const toRemove = [];
+    this.pruneReplayWindows(); // Including those of peers that left or timed out
+
+    this.peers.forEach((peer, peerId) => {
+      if (now - peer.lastSeen > PEER_TIMEOUT && !peer.hasTimedOut) {
+        toRemove.push(peerId);
+      }
+    });
+
+    toRemove.forEach(peerId => {
+      const peer = this.peers.get(peerId);
+      if (peer && !peer.hasTimedOut) {
+        peer.hasTimedOut = true; // Mark as timed out to prevent duplicate messages
+        this.forgetDeliveryTarget(peerId);
+
+        // Remove after a short delay, unless the peer came back in the meantime
+        setTimeout(() => {
+          if (this.peers.get(peerId) === peer) {
+            this.peers.delete(peerId);
+            this.clearTypist(peerId);
+            this.notifyPeerEvent('timeout', peer.displayName);
+            this.notifyPeersChanged();
+            this.scheduleRekey();
+          }
+        }, 100);
+      }
+    });
+  }
+
+  // Reliable delivery
+  // Mark a packet as handled: its ID and sequence number won't be taken again
+  acceptPacket(message) {
+    this.recordSequence(message);
+    if (message.messageId) {
+      this.processedMessages.add(message.messageId);
+
+      // Clean up old message IDs (keep last 1000)
+      if (this.processedMessages.size > 1000) {
+        const oldMessages = Array.from(this.processedMessages).slice(0, 500);
+        oldMessages.forEach(id => this.processedMessages.delete(id));
+      }
+    }
+  }
+
+  // Accept a reliable packet and tell its sender
+  acknowledge(message, rinfo) {
+    this.acceptPacket(message);
+    this.sendAck(message.messageId, rinfo);
+  }
+
+  sendAck(ackFor, rinfo) {
+    this.sendMessage({
+      type: MESSAGE_TYPES.ACK,
+      messageId: generateMessageId(),
+      peerId: this.peerId,
+      displayName: this.displayName,
+      timestamp: Date.now(),
+      content: { ackFor }
+    }, rinfo.address, rinfo.port);
+  }
+
+  // Broadcast a message and keep retransmitting it to every peer we knew about
+  // at send time until each one ACKs it or we run out of retries
+  sendReliable(message) {
+    const targets = new Set();
+    this.peers.forEach((peer, peerId) => {
+      if (!peer.hasTimedOut) {
+        targets.add(peerId);
+      }
+    });
+
+    this.broadcastMessage(message);
+    return this.trackDelivery(message, targets);
+  }
+
+  // Retransmit an already sent message to targets (peer IDs) until they ACK it
+  trackDelivery(message, targets) {
+    // With nobody to wait for, all we can say is that the message left this machine
+    if (targets.size === 0) {
+      return 'sent';
+    }
+
+    this.pendingDeliveries.set(message.messageId, {
+      message,
+      targets,
+      acked: new Set(),
+      total: targets.size,
+      attempt: 0,
+      timer: null
+    });
+    this.scheduleRetransmit(message.messageId);
+
+    return 'sent';
+  }
+
+  scheduleRetransmit(messageId) {
+    const delivery = this.pendingDeliveries.get(messageId);
+    if (!delivery) return;
+
+    // Exponential backoff: ACK_TIMEOUT, 2x, 4x, ...
+    const delay = ACK_TIMEOUT * Math.pow(2, delivery.attempt);
+    delivery.timer = setTimeout(() => this.retransmit(messageId), delay);
+  }
+
+  retransmit(messageId) {
+    const delivery = this.pendingDeliveries.get(messageId);
+    if (!delivery) return;
+
+    if (delivery.attempt >= MAX_RETRIES) {
+      this.finishDelivery(messageId, 'failed');
+      return;
+    }
+
+    delivery.attempt++;
+    delivery.targets.forEach(peerId => {
+      const peer = this.peers.get(peerId);
+      if (peer) {
+        this.sendMessage(delivery.message, peer.address, peer.port);
+      }
+    });
+
+    this.scheduleRetransmit(messageId);
+  }
+
+  finishDelivery(messageId, status) {
+    const delivery = this.pendingDeliveries.get(messageId);
+    if (!delivery) return;
+
+    clearTimeout(delivery.timer);
+    this.notifyDeliveryStatus(messageId, status);
+    this.pendingDeliveries.delete(messageId);
+  }
+
+  // A peer that left or timed out will never ACK, so stop waiting on it
+  forgetDeliveryTarget(peerId) {
+    this.pendingDeliveries.forEach((delivery, messageId) => {
+      if (delivery.targets.delete(peerId)) {
+        delivery.total--;
+        if (delivery.targets.size === 0) {
+          this.finishDelivery(messageId, delivery.acked.size > 0 ? 'delivered' : 'sent');
+        }
+      }
+    });
+  }
+
+  // Resolves once every message we sent has been ACKed by all its targets or given up on
+  waitForDeliveries() {
+    return new Promise(resolve => {
+      const check = () => {
+        if (this.pendingDeliveries.size === 0) {
+          this.removeListener('message-status', onStatus);
+          resolve();
+        }
+      };
+      // The status is emitted just before the delivery is dropped
+      const onStatus = () => setImmediate(check);
+      this.on('message-status', onStatus);
+      check();
+    });
+  }
+
+  clearPendingDeliveries() {
+    this.pendingDeliveries.forEach(delivery => clearTimeout(delivery.timer));
+    this.pendingDeliveries.clear();
+  }
+
+  notifyDeliveryStatus(messageId, status) {
+    const delivery = this.pendingDeliveries.get(messageId);
+    if (!delivery) return;
+
+    this.emit('message-status', {
+      messageId,
+      status,
+      delivered: delivery.acked.size,
+      total: delivery.total
+    });
+  }
+
+  // File transfer
+  // Attachments travel separately from the chat message: the message only carries
+  // each file's manifest, and receivers pull the encrypted chunks from peers that hold
+  // a complete copy until every chunk is in and the content hash matches.
+  shareFile(fileId, name, base64Data) {
+    const data = Buffer.from(base64Data, 'base64');
+    const manifest = {
+      id: fileId,
+      name,
+      size: data.length,
+      hash: crypto.createHash('sha256').update(data).digest('hex'),
+      chunkSize: FILE_CHUNK_SIZE,
+      chunkCount: Math.max(1, Math.ceil(data.length / FILE_CHUNK_SIZE))
+    };
+
+    this.sharedFiles.set(fileId, { manifest, data });
+    return manifest;
+  }
+
+  // Start (or resume) pulling a file. Chunks we already have are kept, so a
+  // stalled transfer picks up where it left off.
+  startFileTransfer(manifest, sourcePeerIds) {
+    if (this.sharedFiles.has(manifest.id) || !isValidManifest(manifest)) return;
+
+    let transfer = this.incomingTransfers.get(manifest.id);
+    if (!transfer) {
+      transfer = {
+        manifest,
+        chunks: new Array(manifest.chunkCount),
+        receivedCount: 0,
+        sources: [],
+        sourceIndex: 0,
+        outstanding: new Set(),
+        stalls: 0,
+        timer: null,
+        status: 'downloading'
+      };
+      this.incomingTransfers.set(manifest.id, transfer);
+    }
+
+    sourcePeerIds.forEach(peerId => this.addTransferSource(transfer, peerId));
+    if (transfer.status === 'downloading' && transfer.timer) return;
+
+    transfer.status = 'downloading';
+    transfer.stalls = 0;
+    this.notifyTransferProgress(transfer);
+    this.requestMissingChunks(transfer);
+  }
+
+  addTransferSource(transfer, peerId) {
+    if (peerId && peerId !== this.peerId && !transfer.sources.includes(peerId)) {
+      transfer.sources.push(peerId);
+    }
+  }
+
+  requestMissingChunks(transfer) {
+    clearTimeout(transfer.timer);
+    transfer.timer = null;
+
+    const missing = [];
+    for (let i = 0; i < transfer.manifest.chunkCount && missing.length < TRANSFER_WINDOW; i++) {
+      if (!transfer.chunks[i]) {
+        missing.push(i);
+      }
+    }
+
+    const sourceId = transfer.sources[transfer.sourceIndex];
+    const source = sourceId && this.peers.get(sourceId);
+
+    if (source) {
+      transfer.outstanding = new Set(missing);
+      this.sendMessage({
+        type: MESSAGE_TYPES.FILE_REQUEST,
+        messageId: generateMessageId(),
+        peerId: this.peerId,
+        displayName: this.displayName,
+        timestamp: Date.now(),
+        content: { fileId: transfer.manifest.id, chunks: missing }
+      }, source.address, source.port);
+    }
+
+    const progressBefore = transfer.receivedCount;
+    transfer.timer = setTimeout(() => {
+      transfer.timer = null;
+      if (transfer.receivedCount > progressBefore) {
+        transfer.stalls = 0;
+      } else if (++transfer.stalls > MAX_RETRIES) {
+        // This source isn't answering - move on to the next one
+        transfer.sourceIndex++;
+        transfer.stalls = 0;
+        if (transfer.sourceIndex >= transfer.sources.length) {
+          this.pauseFileTransfer(transfer);
+          return;
+        }
+      }
+      this.requestMissingChunks(transfer);
+    }, CHUNK_TIMEOUT);
+  }
+
+  pauseFileTransfer(transfer) {
+    clearTimeout(transfer.timer);
+    transfer.timer = null;
+    transfer.sourceIndex = 0;
+    transfer.status = 'paused';
+    this.notifyTransferProgress(transfer);
+  }
+
+  completeFileTransfer(transfer) {
+    clearTimeout(transfer.timer);
+    transfer.timer = null;
+
+    const { manifest } = transfer;
+    const data = Buffer.concat(transfer.chunks);
+    const hash = crypto.createHash('sha256').update(data).digest('hex');
+
+    if (data.length !== manifest.size || hash !== manifest.hash) {
+      this.logger.error(`Hash mismatch for file ${manifest.name}, discarding download`);
+      transfer.chunks = new Array(manifest.chunkCount);
+      transfer.receivedCount = 0;
+      transfer.status = 'failed';
+      this.notifyTransferProgress(transfer);
+      return;
+    }
+
+    this.incomingTransfers.delete(manifest.id);
+    this.sharedFiles.set(manifest.id, { manifest, data });
+    transfer.status = 'complete';
+    this.notifyTransferProgress(transfer);
+
+    // Advertise our copy so others can pull from us too
+    this.broadcastMessage({
+      type: MESSAGE_TYPES.FILE_MANIFEST,
+      messageId: generateMessageId(),
+      peerId: this.peerId,
+      displayName: this.displayName,
+      timestamp: Date.now(),
+      content: { manifest }
+    });
+  }
+
+  handleFileManifest(message) {
+    const manifest = message.content.manifest;
+    const transfer = manifest && this.incomingTransfers.get(manifest.id);
+    if (!transfer || transfer.manifest.hash !== manifest.hash) return;
+
+    this.addTransferSource(transfer, message.peerId);
+    if (transfer.status === 'paused') {
+      this.startFileTransfer(transfer.manifest, []);
+    }
+  }
+
+  handleFileRequest(message, rinfo) {
+    const { fileId, chunks } = message.content;
+    const shared = this.sharedFiles.get(fileId);
+    if (!shared || !Array.isArray(chunks)) return;
+
+    const { manifest, data } = shared;
+    chunks.slice(0, TRANSFER_WINDOW).forEach(index => {
+      if (!Number.isInteger(index) || index < 0 || index >= manifest.chunkCount) return;
+
+      const start = index * manifest.chunkSize;
+      this.sendMessage({
+        type: MESSAGE_TYPES.FILE_CHUNK,
+        messageId: generateMessageId(),
+        peerId: this.peerId,
+        displayName: this.displayName,
+        timestamp: Date.now(),
+        content: {
+          fileId,
+          index,
+          data: data.subarray(start, start + manifest.chunkSize).toString('base64')
+        }
+      }, rinfo.address, rinfo.port);
+    });
+  }
+
+  handleFileChunk(message) {
+    const { fileId, index, data } = message.content;
+    const transfer = this.incomingTransfers.get(fileId);
+    if (!transfer || transfer.status !== 'downloading') return;
+    if (!Number.isInteger(index) || index < 0 || index >= transfer.manifest.chunkCount) return;
+    if (transfer.chunks[index] || typeof data !== 'string') return;
+
+    const chunk = Buffer.from(data, 'base64');
+    if (chunk.length > transfer.manifest.chunkSize) return;
+
+    transfer.chunks[index] = chunk;
+    transfer.receivedCount++;
+    transfer.outstanding.delete(index);
+    this.notifyTransferProgress(transfer);
+
+    if (transfer.receivedCount === transfer.manifest.chunkCount) {
+      this.completeFileTransfer(transfer);
+    } else if (transfer.outstanding.size === 0) {
+      // Whole window arrived, ask for the next one straight away
+      transfer.stalls = 0;
+      this.requestMissingChunks(transfer);
+    }
+  }
+
+  // Resume paused transfers when one of their sources comes back
+  resumeTransfersFrom(peerId) {
+    this.incomingTransfers.forEach(transfer => {
+      if (transfer.status === 'paused' && transfer.sources.includes(peerId)) {
+        this.startFileTransfer(transfer.manifest, []);
+      }
+    });
+  }
+
+  clearFileTransfers() {
+    this.incomingTransfers.forEach(transfer => clearTimeout(transfer.timer));
+    this.incomingTransfers.clear();
+    this.sharedFiles.clear();
+  }
+
+  notifyTransferProgress(transfer) {
+    this.emit('file-progress', {
+      fileId: transfer.manifest.id,
+      status: transfer.status,
+      received: transfer.receivedCount,
+      total: transfer.manifest.chunkCount
+    });
+  }
+
+  // History sync
+  // Joiners advertise the newest timestamp they hold plus the IDs at or after it,
+  // and every peer that has something newer streams it back in bounded pages.
+  // Attachments go as manifests only - the receiver pulls them on demand.
+  // Afterwards peers swap digests of their logs now and then and pull whatever
+  // differs, so members who were briefly cut off end up with the same log.
+
+  // Keep the log in (timestamp, id) order so every peer sorts it the same way
+  addMessage(entry) {
+    this.messages.push(entry);
+    const previous = this.messages[this.messages.length - 2];
+    if (previous && compareEntries(previous, entry) > 0) {
+      this.messages.sort(compareEntries);
+    }
+    this.saveHistory();
+  }
+
+  // Add history entries we don't have yet, and newer revisions of ones we do.
+  // Returns how many entries changed.
+  mergeHistory(entries) {
+    const known = new Map(this.messages.map(m => [m.id, m]));
+    let added = 0;
+    let updated = 0;
+
+    entries.forEach(entry => {
+      // Whoever relayed the history can't have tampered with a signed message,
+      // nor slipped in a DM someone sent them
+      if (!entry || !entry.id || entry.to || !Number.isFinite(entry.timestamp) || !verifyChatEntry(entry)) {
+        return;
+      }
+      if (entry.reaction && !isValidReactionEntry(entry)) {
+        return;
+      }
+
+      const existing = known.get(entry.id);
+      if (!existing) {
+        known.set(entry.id, entry);
+        this.messages.push(entry);
+        added++;
+        return;
+      }
+
+      // Only the author's key can revise a message, and never move it or turn
+      // it into a reaction (or back)
+      if (existing.publicKey !== entry.publicKey || existing.timestamp !== entry.timestamp ||
+          Boolean(existing.reaction) !== Boolean(entry.reaction) || compareRevisions(entry, existing) <= 0) {
+        return;
+      }
+
+      known.set(entry.id, entry);
+      this.messages[this.messages.indexOf(existing)] = entry;
+      updated++;
+
+      // Stop serving the attachments of a deleted message
+      if (entry.deletedAt) {
+        existing.files.forEach(file => this.sharedFiles.delete(file.id));
+      }
+    });
+
+    if (added > 0) {
+      this.messages.sort(compareEntries);
+    }
+    if (added + updated > 0) {
+      this.saveHistory();
+    }
+    return added + updated;
+  }
+
+  saveHistory() {
+    if (this.historyStore) {
+      this.historyStore.scheduleSave(() => this.messages.map(toHistoryEntry));
+    }
+  }
+
+  sendHistoryToPeer(requestId, historyPages, pageNumbers, rinfo) {
+    pageNumbers.forEach(page => {
+      if (!Number.isInteger(page) || !historyPages[page]) return;
+
+      this.sendMessage({
+        type: MESSAGE_TYPES.HISTORY,
+        messageId: generateMessageId(),
+        peerId: this.peerId,
+        displayName: this.displayName,
+        timestamp: Date.now(),
+        content: { requestId, page, pages: historyPages.length, history: historyPages[page] }
+      }, rinfo.address, rinfo.port);
+    });
+  }
+
+  requestChatHistory() {
+    const since = this.messages.reduce((latest, m) => Math.max(latest, m.timestamp), 0);
+    const knownIds = this.messages.filter(m => m.timestamp >= since).map(getRevisionKey);
+
+    this.logger.log('Requesting chat history from peers...');
+    this.startHistorySync({ since, knownIds });
+  }
+
+  // Ask one peer (or everyone) for history; replies are matched by requestId
+  startHistorySync(query, target = null) {
+    const sync = {
+      requestId: generateMessageId(),
+      target: target && target.peerId,
+      sources: new Map(),
+      timer: null
+    };
+    // Stop listening for stragglers once responders would have dropped their pages
+    sync.timer = setTimeout(() => this.finishHistorySync(sync.requestId), HISTORY_STREAM_TTL);
+    this.historySyncs.set(sync.requestId, sync);
+
+    const request = {
+      type: MESSAGE_TYPES.HISTORY_REQUEST,
+      messageId: generateMessageId(),
+      peerId: this.peerId,
+      displayName: this.displayName,
+      timestamp: Date.now(),
+      content: { requestId: sync.requestId, ...query }
+    };
+    if (target) {
+      this.sendMessage(request, target.address, target.port);
+    } else {
+      this.broadcastMessage(request);
+    }
+  }
+
+  // If a peer's stream stalls, ask it again for just the missing pages
+  scheduleHistoryRetry(sync, peerId) {
+    const source = sync.sources.get(peerId);
+    source.timer = setTimeout(() => {
+      source.timer = null;
+      const peer = this.peers.get(peerId);
+      if (!peer || ++source.attempts > MAX_RETRIES) {
+        this.logger.log('Giving up on incomplete chat history from', peer ? peer.displayName : peerId);
+        return;
+      }
+
+      const missingPages = [];
+      for (let page = 0; page < source.total; page++) {
+        if (!source.received.has(page)) {
+          missingPages.push(page);
+        }
+      }
+
+      this.sendMessage({
+        type: MESSAGE_TYPES.HISTORY_REQUEST,
+        messageId: generateMessageId(),
+        peerId: this.peerId,
+        displayName: this.displayName,
+        timestamp: Date.now(),
+        content: { requestId: sync.requestId, pages: missingPages }
+      }, peer.address, peer.port);
+
+      this.scheduleHistoryRetry(sync, peerId);
+    }, HISTORY_TIMEOUT);
+  }
+
+  finishHistorySync(requestId) {
+    const sync = this.historySyncs.get(requestId);
+    if (sync) {
+      clearTimeout(sync.timer);
+      sync.sources.forEach(source => clearTimeout(source.timer));
+      this.historySyncs.delete(requestId);
+    }
+  }
+
+  clearHistorySyncs() {
+    Array.from(this.historySyncs.keys()).forEach(requestId => this.finishHistorySync(requestId));
+  }
+
+  clearHistoryStreams() {
+    this.historyStreams.forEach(stream => clearTimeout(stream.timer));
+    this.historyStreams.clear();
+  }
+
+  // Anti-entropy
+  // A digest is a count and hash of the IDs (with revisions) in each time bucket of the log
+
+  getHistoryDigest() {
+    const buckets = new Map();
+    this.messages.forEach(m => {
+      const bucket = getDigestBucket(m);
+      if (!buckets.has(bucket)) {
+        buckets.set(bucket, []);
+      }
+      buckets.get(bucket).push(getRevisionKey(m));
+    });
+
+    return Array.from(buckets.entries())
+      .slice(-DIGEST_MAX_BUCKETS)
+      .map(([bucket, ids]) => ({ bucket, count: ids.length, hash: hashIds(ids) }));
+  }
+
+  sendHistoryDigest() {
+    if (this.peers.size === 0) return;
+
+    this.broadcastMessage({
+      type: MESSAGE_TYPES.HISTORY_DIGEST,
+      messageId: generateMessageId(),
+      peerId: this.peerId,
+      displayName: this.displayName,
+      timestamp: Date.now(),
+      content: { buckets: this.getHistoryDigest() }
+    });
+  }
+
+  // Pull the buckets that differ from the sender's. They do the same with ours,
+  // so between them both sides end up with the union.
+  handleHistoryDigest(message) {
+    const theirs = message.content && message.content.buckets;
+    const peer = this.peers.get(message.peerId);
+    if (!Array.isArray(theirs) || !peer) return;
+
+    // One pull per peer at a time
+    const pulling = Array.from(this.historySyncs.values()).some(sync => sync.target === message.peerId);
+    if (pulling) return;
+
+    const ours = new Map(this.getHistoryDigest().map(entry => [entry.bucket, entry]));
+    const differing = theirs
+      .filter(entry => entry && Number.isInteger(entry.bucket) && entry.count > 0)
+      .filter(entry => {
+        const own = ours.get(entry.bucket);
+        return !own || own.hash !== entry.hash;
+      })
+      .map(entry => entry.bucket)
+      .sort((a, b) => b - a);
+    if (differing.length === 0) return;
+
+    // Newest buckets first, keeping the ID list inside one datagram
+    const buckets = [];
+    const knownIds = [];
+    for (const bucket of differing) {
+      const ids = this.messages.filter(m => getDigestBucket(m) === bucket).map(getRevisionKey);
+      if (buckets.length > 0 && knownIds.length + ids.length > DIGEST_MAX_IDS) break;
+      buckets.push(bucket);
+      knownIds.push(...ids.slice(0, DIGEST_MAX_IDS));
+    }
+
+    this.logger.log(`History differs from ${message.displayName} in ${differing.length} buckets, reconciling`);
+    this.startHistorySync({ buckets, knownIds }, { peerId: message.peerId, address: peer.address, port: peer.port });
+  }
+
+  // Outgoing packets
+  // Number, encrypt and sign a packet once; retransmissions reuse it as is.
+  // Content is sealed with the room key unless a pairwise key is given.
+  encodePacket(message, pairKey = null) {
+    if (message.seq === undefined) {
+      message.seq = ++this.sendSequence;
+    }
+
+    // Encrypt content if we have a key, binding the header into the AEAD
+    if ((pairKey || this.roomKey) && message.content) {
+      if (!pairKey) {
+        message.keyEpoch = this.keyEpoch;
+      }
+      message.encrypted = encrypt(JSON.stringify(message.content), pairKey || this.roomKey, getEnvelopeAAD(message));
+      delete message.content;
+    }
+
+    if (!message.signature) {
+      this.signPacket(message);
+    }
+
+    return Buffer.from(JSON.stringify(message));
+  }
+
+  sendMessage(message, address, port, pairKey = null) {
+    if (!this.joined) return;
+    this.transport.send(this.encodePacket(message, pairKey), address, port);
+  }
+
+  broadcastMessage(message) {
+    if (!this.joined) return;
+
+    const buffer = this.encodePacket(message);
+
+    // Send to known peers directly on the port they actually use
+    this.peers.forEach(peer => {
+      this.transport.send(buffer, peer.address, peer.port);
+    });
+
+    // And to everyone we might not know about yet
+    this.transport.broadcast(buffer);
+  }
+}
+
+// The size cap also bounds chunkCount, since every sender uses the same chunk size
+function isValidManifest(manifest) {
+  return manifest &&
+    typeof manifest.id === 'string' &&
+    typeof manifest.hash === 'string' &&
+    Number.isInteger(manifest.size) && manifest.size >= 0 && manifest.size <= MAX_FILE_SIZE &&
+    manifest.chunkSize === FILE_CHUNK_SIZE &&
+    manifest.chunkCount === Math.max(1, Math.ceil(manifest.size / manifest.chunkSize));
+}
+
+// Timestamp order, with the ID as a tiebreak every peer agrees on
+function compareEntries(a, b) {
+  if (a.timestamp !== b.timestamp) {
+    return a.timestamp - b.timestamp;
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+// Later revisions win, and a deletion beats any edit
+function compareRevisions(a, b) {
+  const rank = entry => (entry.deletedAt ? 2 : entry.editedAt ? 1 : 0);
+  const time = entry => entry.deletedAt || entry.editedAt || 0;
+  if (rank(a) !== rank(b)) {
+    return rank(a) - rank(b);
+  }
+  if (time(a) !== time(b)) {
+    return time(a) - time(b);
+  }
+  return a.signature < b.signature ? -1 : a.signature > b.signature ? 1 : 0;
+}
+
+// A single emoji: a flag, a keycap, or pictographs with optional skin tones and
+// presentation selectors joined by ZWJs, plus tag characters for subdivision flags
+const EMOJI_PATTERN = /^(?:\p{Regional_Indicator}{2}|[0-9#*]\uFE0F?\u20E3|\p{Extended_Pictographic}[\uFE0E\uFE0F]?\p{Emoji_Modifier}?(?:\u200D\p{Extended_Pictographic}[\uFE0E\uFE0F]?\p{Emoji_Modifier}?)*(?:[\u{E0020}-\u{E007E}]+\u{E007F})?)$/u;
+
+function isValidEmoji(emoji) {
+  return typeof emoji === 'string' && emoji.length > 0 && emoji.length <= MAX_REACTION_LENGTH && EMOJI_PATTERN.test(emoji);
+}
+
+// One slot per member, message and emoji
+function getReactionId(publicKey, messageId, emoji) {
+  return crypto.createHash('sha256').update(`${publicKey}\n${messageId}\n${emoji}`).digest('hex').slice(0, 32);
+}
+
+function isValidReactionEntry(entry) {
+  const { messageId, emoji, active } = entry.reaction;
+  return typeof messageId === 'string' && isValidEmoji(emoji) && typeof active === 'boolean' &&
+    !entry.deletedAt && entry.id === getReactionId(entry.publicKey, messageId, emoji);
+}
+
+// What a peer "has" of a message: the ID, plus which revision
+function getRevisionKey(message) {
+  if (message.deletedAt) {
+    return `${message.id}:deleted`;
+  }
+  return message.editedAt ? `${message.id}:${message.editedAt}` : message.id;
+}
+
+function getDigestBucket(message) {
+  return Math.floor(message.timestamp / DIGEST_BUCKET);
+}
+
+function hashIds(ids) {
+  const hash = crypto.createHash('sha256');
+  ids.forEach(id => hash.update(`${id}\n`));
+  return hash.digest('hex').slice(0, 16);
+}
+
+function toHistoryEntry(message) {
+  return {
+    ...message,
+    files: (message.files || []).map(({ data, ...manifest }) => manifest)
+  };
+}
+
+function paginateHistory(entries) {
+  const pages = [];
+  let page = [];
+  let pageBytes = 0;
+
+  entries.forEach(entry => {
+    const entryBytes = Buffer.byteLength(JSON.stringify(entry));
+    if (page.length > 0 && (page.length >= HISTORY_PAGE_SIZE || pageBytes + entryBytes > HISTORY_PAGE_BYTES)) {
+      pages.push(page);
+      page = [];
+      pageBytes = 0;
+    }
+    page.push(entry);
+    pageBytes += entryBytes;
+  });
+
+  if (page.length > 0) {
+    pages.push(page);
+  }
+  return pages;
+}
+
+module.exports = { ChatNode };
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const { SCRYPT_OPTIONS } = require('./protocol');
+
+let publicKeyCache = new Map(); // base64 SPKI -> KeyObject
+
+// Encryption utilities
+function encrypt(text, key, aad = 'localchat') {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(aad, 'utf8'));
+  
+  let encrypted = cipher.update(text, 'utf8', 'hex');
+  encrypted += cipher.final('hex');
+  
+  const authTag = cipher.getAuthTag();
+  
+  return {
+    iv: iv.toString('hex'),
+    encrypted,
+    authTag: authTag.toString('hex')
+  };
+}
+
+function decrypt(encryptedData, key, aad = 'localchat') {
+  try {
+    const iv = Buffer.from(encryptedData.iv, 'hex');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAAD(Buffer.from(aad, 'utf8'));
+    decipher.setAuthTag(Buffer.from(encryptedData.authTag, 'hex'));
+    
+    let decrypted = decipher.update(encryptedData.encrypted, 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+    
+    return decrypted;
+  } catch (error) {
+    // Wrong key or tampered data; callers say so through their own logger
+    return null;
+  }
+}
+
+// Key-order independent JSON, so signer and verifier hash the same bytes
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : stableStringify(item))).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// The plaintext header of a packet, bound into the AEAD so it can't be altered
+// or moved onto different ciphertext
+function getEnvelopeAAD(message) {
+  const { encrypted, content, signature, publicKey, ...envelope } = message;
+  return stableStringify(envelope);
+}
+
+// Room keys
+function deriveRoomKey(passphrase, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(passphrase, Buffer.from(salt, 'hex'), 32, SCRYPT_OPTIONS, (err, key) => {
+      if (err) reject(err);
+      else resolve(key);
+    });
+  });
+}
+
+// Lets a joiner tell a wrong passphrase apart from a network problem
+function getPassphraseCheck(key) {
+  return crypto.createHmac('sha256', key).update('localchat-passphrase-check').digest('hex').slice(0, 32);
+}
+
+// Proves knowledge of the passphrase key, bound to one peer and its DH key
+function getMembershipProof(key, peerId, dhPublicKey) {
+  return crypto.createHmac('sha256', key).update(`localchat-member:${peerId}:${dhPublicKey}`).digest('hex');
+}
+
+function verifyMembershipProof(key, message) {
+  if (!key || typeof message.proof !== 'string' || typeof message.dhPublicKey !== 'string') return false;
+  const expected = Buffer.from(getMembershipProof(key, message.peerId, message.dhPublicKey), 'hex');
+  const actual = Buffer.from(message.proof, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function exportPublicKey(keyObject) {
+  return keyObject.export({ type: 'spki', format: 'der' }).toString('base64');
+}
+
+// Symmetric key shared by exactly two peers, from X25519 plus HKDF
+function derivePairKey(dhPrivateKey, theirDhPublicKey) {
+  const theirKey = crypto.createPublicKey({ key: Buffer.from(theirDhPublicKey, 'base64'), format: 'der', type: 'spki' });
+  const secret = crypto.diffieHellman({ privateKey: dhPrivateKey, publicKey: theirKey });
+  return Buffer.from(crypto.hkdfSync('sha256', secret, Buffer.alloc(0), 'localchat-pair-key', 32));
+}
+
+// Signatures
+// Short, human-comparable form of a public key
+function getFingerprint(publicKey) {
+  const digest = crypto.createHash('sha256').update(Buffer.from(publicKey, 'base64')).digest('hex');
+  return digest.slice(0, 16).match(/.{4}/g).join(':');
+}
+
+function getPublicKeyObject(publicKey) {
+  if (!publicKeyCache.has(publicKey)) {
+    const key = crypto.createPublicKey({ key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' });
+    if (key.asymmetricKeyType !== 'ed25519') {
+      throw new Error('Not an Ed25519 key');
+    }
+    publicKeyCache.set(publicKey, key);
+  }
+  return publicKeyCache.get(publicKey);
+}
+
+function signData(data, privateKey) {
+  return crypto.sign(null, Buffer.from(stableStringify(data)), privateKey).toString('base64');
+}
+
+function verifyData(data, publicKey, signature) {
+  if (typeof publicKey !== 'string' || typeof signature !== 'string') return false;
+  try {
+    return crypto.verify(null, Buffer.from(stableStringify(data)), getPublicKeyObject(publicKey), Buffer.from(signature, 'base64'));
+  } catch (err) {
+    return false;
+  }
+}
+
+function verifyPacket(packet) {
+  const { signature, ...unsigned } = packet;
+  return verifyData(unsigned, packet.publicKey, signature);
+}
+
+// The parts of a chat message its author vouches for. Direct messages also
+// name their recipient, so one can't be passed off as a room message.
+function getSignedFields(entry) {
+  return {
+    id: entry.id,
+    sender: entry.sender,
+    structure: entry.structure,
+    files: entry.files,
+    timestamp: entry.timestamp,
+    to: entry.to,
+    replyTo: entry.replyTo,
+    reaction: entry.reaction,
+    editedAt: entry.editedAt,
+    deletedAt: entry.deletedAt
+  };
+}
+
+function verifyChatEntry(entry) {
+  return verifyData(getSignedFields(entry), entry.publicKey, entry.signature);
+}
+
+module.exports = {
+  encrypt,
+  decrypt,
+  stableStringify,
+  getEnvelopeAAD,
+  deriveRoomKey,
+  getPassphraseCheck,
+  getMembershipProof,
+  verifyMembershipProof,
+  exportPublicKey,
+  derivePairKey,
+  getFingerprint,
+  signData,
+  verifyData,
+  verifyPacket,
+  getSignedFields,
+  verifyChatEntry
+};
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { SCRYPT_OPTIONS } = require('./protocol');
+const { encrypt, decrypt } = require('./crypto');
+
+const DEFAULT_RETENTION_DAYS = 7;
+const MAX_STORED_MESSAGES = 5000; // Upper bound whatever the retention
+const SAVE_DELAY = 1000; // Batch bursts of messages into one write
+const FILE_AAD = 'localchat-history';
+
+// History store
+// Opt-in, per-room copy of the message log on disk. The file is sealed with a
+// key from scrypt over the room name, room passphrase and a local passphrase,
+// so it's useless both to someone who only knows the room and to someone who
+// only has this machine. Messages older than the retention period are dropped.
+class HistoryStore {
+  constructor(filePath, { roomName, roomPassphrase = '', localPassphrase, retentionDays = DEFAULT_RETENTION_DAYS, logger = console }) {
+    if (!localPassphrase) {
+      throw new Error('A local passphrase is required to save history');
+    }
+    const days = Number(retentionDays);
+    if (!Number.isFinite(days) || days <= 0) {
+      throw new Error('History retention must be a positive number of days');
+    }
+
+    this.filePath = filePath;
+    this.secret = JSON.stringify([roomName, roomPassphrase, localPassphrase]);
+    this.retention = days * 24 * 60 * 60 * 1000;
+    this.salt = null;
+    this.key = null;
+    this.saveTimer = null;
+    this.getEntries = null;
+    this.logger = logger;
+  }
+
+  // Where a room's history lives under dir, without putting the room name on disk
+  static pathFor(dir, roomName) {
+    const name = crypto.createHash('sha256').update(roomName).digest('hex').slice(0, 32);
+    return path.join(dir, 'history', `${name}.json`);
+  }
+
+  // Unlock the file (creating the key for a new one) and return its entries.
+  // Throws when the file exists but the passphrases don't open it.
+  async open() {
+    let stored = null;
+    try {
+      stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (err) {
+      // Nothing saved yet
+    }
+
+    this.salt = stored && typeof stored.salt === 'string' ? stored.salt : crypto.randomBytes(16).toString('hex');
+    this.key = await new Promise((resolve, reject) => {
+      crypto.scrypt(this.secret, Buffer.from(this.salt, 'hex'), 32, SCRYPT_OPTIONS, (err, key) => {
+        if (err) reject(err);
+        else resolve(key);
+      });
+    });
+
+    if (!stored) {
+      return [];
+    }
+
+    const opened = stored.data && decrypt(stored.data, this.key, FILE_AAD);
+    if (!opened) {
+      this.key = null;
+      throw new Error('Could not unlock saved history - check the room and local passphrases');
+    }
+    return this.prune(JSON.parse(opened));
+  }
+
+  prune(entries) {
+    const cutoff = Date.now() - this.retention;
+    return entries.filter(entry => entry.timestamp >= cutoff).slice(-MAX_STORED_MESSAGES);
+  }
+
+  save(entries) {
+    if (!this.key) return;
+
+    const data = encrypt(JSON.stringify(this.prune(entries)), this.key, FILE_AAD);
+    const tempPath = `${this.filePath}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      // Write then rename, so a crash never leaves half a file
+      fs.writeFileSync(tempPath, JSON.stringify({ version: 1, salt: this.salt, data }), { mode: 0o600 });
+      fs.renameSync(tempPath, this.filePath);
+    } catch (err) {
+      this.logger.error('Failed to save history:', err.message);
+    }
+  }
+
+  scheduleSave(getEntries) {
+    this.getEntries = getEntries;
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.flush(), SAVE_DELAY);
+  }
+
+  // Write any pending changes now
+  flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (this.getEntries) {
+      this.save(this.getEntries());
+      this.getEntries = null;
+    }
+  }
+}
+
+module.exports = { HistoryStore, DEFAULT_RETENTION_DAYS };
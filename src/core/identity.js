@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getFingerprint, signData, exportPublicKey } = require('./crypto');
+
+// Identity
+// Each install has a persistent Ed25519 keypair. Every packet is signed with it,
+// and chat messages carry their own signature so they stay verifiable when they
+// are passed along in history sync.
+class Identity {
+  constructor(publicKey, privateKeyDer) {
+    this.publicKey = publicKey; // base64 SPKI
+    this.privateKey = crypto.createPrivateKey({ key: Buffer.from(privateKeyDer, 'base64'), format: 'der', type: 'pkcs8' });
+    this.fingerprint = getFingerprint(publicKey);
+  }
+
+  // Load the keypair stored in dir, creating one on first use
+  static load(dir, logger = console) {
+    const identityPath = path.join(dir, 'identity.json');
+    let stored = null;
+    try {
+      stored = JSON.parse(fs.readFileSync(identityPath, 'utf8'));
+    } catch (err) {
+      // No identity yet
+    }
+
+    if (!stored || !stored.publicKey || !stored.privateKey) {
+      stored = Identity.createKeyPair();
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(identityPath, JSON.stringify(stored), { mode: 0o600 });
+      logger.log('Generated new identity key');
+    }
+
+    return new Identity(stored.publicKey, stored.privateKey);
+  }
+
+  // A throwaway identity that never touches disk
+  static generate() {
+    const { publicKey, privateKey } = Identity.createKeyPair();
+    return new Identity(publicKey, privateKey);
+  }
+
+  static createKeyPair() {
+    const keyPair = crypto.generateKeyPairSync('ed25519');
+    return {
+      publicKey: exportPublicKey(keyPair.publicKey),
+      privateKey: keyPair.privateKey.export({ type: 'pkcs8', format: 'der' }).toString('base64')
+    };
+  }
+
+  sign(data) {
+    return signData(data, this.privateKey);
+  }
+}
+
+// Trust on first use: displayName -> fingerprint of the first key seen for it.
+// Kept in memory only when no file path is given.
+class KnownPeerKeys {
+  constructor(filePath = null, logger = console) {
+    this.filePath = filePath;
+    this.logger = logger;
+    this.keys = {};
+    if (filePath) {
+      try {
+        this.keys = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (err) {
+        // Nothing known yet
+      }
+    }
+  }
+
+  get(name) {
+    return this.keys[name];
+  }
+
+  set(name, fingerprint) {
+    this.keys[name] = fingerprint;
+    this.save();
+  }
+
+  save() {
+    if (!this.filePath) return;
+    try {
+      fs.writeFileSync(this.filePath, JSON.stringify(this.keys, null, 2));
+    } catch (err) {
+      this.logger.error('Failed to save known peer keys:', err.message);
+    }
+  }
+}
+
+module.exports = { Identity, KnownPeerKeys };
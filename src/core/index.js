@@ -0,0 +1,26 @@
+// Everything needed to run a chat session without Electron
+const { ChatNode } = require('./chat-node');
+const { UdpTransport, getIPv4Interfaces } = require('./transport');
+const { LoopbackNetwork } = require('./loopback');
+const { Identity, KnownPeerKeys } = require('./identity');
+const { HistoryStore } = require('./history-store');
+const { WebSocketBridge } = require('./ws-bridge');
+const { LocalApiServer } = require('./local-api');
+const { createZip } = require('./zip');
+const transcript = require('./transcript');
+const protocol = require('./protocol');
+
+module.exports = {
+  ChatNode,
+  UdpTransport,
+  LoopbackNetwork,
+  Identity,
+  KnownPeerKeys,
+  HistoryStore,
+  WebSocketBridge,
+  LocalApiServer,
+  createZip,
+  getIPv4Interfaces,
+  transcript,
+  protocol
+};
@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const http = require('http');
+const { URL } = require('url');
+const { API_PORT } = require('./protocol');
+
+const HOST = '127.0.0.1';
+const MAX_BODY_BYTES = 64 * 1024 * 1024; // Files travel inline as base64
+const DEFAULT_MESSAGE_LIMIT = 50;
+const MAX_MESSAGE_LIMIT = 500;
+const KEEPALIVE_INTERVAL = 15000; // SSE comment lines so idle proxies and clients don't give up
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Local HTTP/JSON API
+// For scripts and CI jobs on this machine. It only listens on loopback and
+// every request needs the bearer token; rooms are whatever the app has
+// joined, reached through the handlers it passes in:
+//   listRooms() -> [{ roomId, roomName, displayName, peerCount }]
+//   getPeers(roomId), getMessages(roomId) -> arrays, or null for an unknown room
+//   sendMessage(roomId, { structure, files, replyTo }) -> { success, message, status, error }
+class LocalApiServer {
+  constructor({ handlers, token = crypto.randomBytes(32).toString('hex'), port = API_PORT, logger = console }) {
+    this.handlers = handlers;
+    this.token = token;
+    this.port = port;
+    this.server = null;
+    this.streams = new Set(); // { roomId, res } for open event streams
+    this.keepaliveTimer = null;
+    this.logger = logger;
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, HOST, () => {
+        this.server.removeListener('error', reject);
+        resolve();
+      });
+    });
+    this.port = this.server.address().port;
+
+    this.keepaliveTimer = setInterval(() => {
+      this.streams.forEach(({ res }) => res.write(': keepalive\n\n'));
+    }, KEEPALIVE_INTERVAL);
+    this.logger.log(`Local API listening on http://${HOST}:${this.port}`);
+    return { port: this.port, token: this.token };
+  }
+
+  stop() {
+    clearInterval(this.keepaliveTimer);
+    this.keepaliveTimer = null;
+    this.streams.forEach(({ res }) => res.end());
+    this.streams.clear();
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  // Pass a room event on to the scripts following it
+  publish(roomId, event, payload) {
+    const data = `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+    this.streams.forEach(stream => {
+      if (stream.roomId === roomId) {
+        stream.res.write(data);
+      }
+    });
+  }
+
+  async handleRequest(req, res) {
+    try {
+      // A web page can't set the header, and a rebound DNS name won't pass the host check
+      if (!this.isLocalHost(req.headers.host)) {
+        throw new ApiError(403, 'Forbidden');
+      }
+      if (!this.checkToken(req.headers.authorization)) {
+        throw new ApiError(401, 'Missing or wrong token');
+      }
+
+      const url = new URL(req.url, `http://${HOST}`);
+      await this.route(req, res, parsePath(url.pathname), url.searchParams);
+    } catch (error) {
+      if (!(error instanceof ApiError)) {
+        this.logger.error('Local API error:', error);
+      }
+      if (!res.headersSent) {
+        sendJson(res, error.status || 500, { error: error instanceof ApiError ? error.message : 'Internal error' });
+      }
+    }
+  }
+
+  async route(req, res, parts, query) {
+    const [collection, roomId, resource] = parts;
+    if (collection !== 'rooms' || parts.length > 3) {
+      throw new ApiError(404, 'Not found');
+    }
+
+    if (parts.length === 1) {
+      expectMethod(req, 'GET');
+      sendJson(res, 200, this.handlers.listRooms());
+      return;
+    }
+
+    if (parts.length === 2) {
+      expectMethod(req, 'GET');
+      const room = this.handlers.listRooms().find(r => r.roomId === roomId);
+      if (!room) throw new ApiError(404, 'Not in that room');
+      sendJson(res, 200, { ...room, peers: this.handlers.getPeers(roomId) || [] });
+      return;
+    }
+
+    if (resource === 'peers') {
+      expectMethod(req, 'GET');
+      sendJson(res, 200, this.requireRoom(this.handlers.getPeers(roomId)));
+    } else if (resource === 'messages' && req.method === 'POST') {
+      const messageData = validateMessageData(await readJson(req));
+      const result = this.handlers.sendMessage(roomId, messageData);
+      if (!result.success) {
+        throw new ApiError(result.error === 'Not in a room' ? 404 : 400, result.error);
+      }
+      sendJson(res, 201, { message: result.message, status: result.status });
+    } else if (resource === 'messages') {
+      expectMethod(req, 'GET');
+      sendJson(res, 200, selectMessages(this.requireRoom(this.handlers.getMessages(roomId)), query));
+    } else if (resource === 'events') {
+      expectMethod(req, 'GET');
+      this.requireRoom(this.handlers.getPeers(roomId));
+      this.openStream(roomId, req, res);
+    } else {
+      throw new ApiError(404, 'Not found');
+    }
+  }
+
+  requireRoom(result) {
+    if (!result) {
+      throw new ApiError(404, 'Not in that room');
+    }
+    return result;
+  }
+
+  // Server-Sent Events: message and message-updated, as JSON
+  openStream(roomId, req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-store',
+      Connection: 'keep-alive'
+    });
+    res.write(': connected\n\n');
+
+    const stream = { roomId, res };
+    this.streams.add(stream);
+    req.on('close', () => this.streams.delete(stream));
+  }
+
+  // Room sessions end when the app leaves them, so streams for a room close with it
+  closeRoom(roomId) {
+    this.streams.forEach(stream => {
+      if (stream.roomId === roomId) {
+        this.streams.delete(stream);
+        stream.res.end();
+      }
+    });
+  }
+
+  isLocalHost(host) {
+    return [`${HOST}:${this.port}`, `localhost:${this.port}`].includes(String(host).toLowerCase());
+  }
+
+  checkToken(header) {
+    const match = /^Bearer (\S+)$/.exec(header || '');
+    const given = Buffer.from(match ? match[1] : '');
+    const wanted = Buffer.from(this.token);
+    return given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+  }
+}
+
+function parsePath(pathname) {
+  try {
+    return pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (error) {
+    throw new ApiError(400, 'Bad path');
+  }
+}
+
+function expectMethod(req, method) {
+  if (req.method !== method) {
+    throw new ApiError(405, `Use ${method}`);
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new ApiError(413, 'Request too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(new ApiError(400, 'Body must be JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// The renderer builds these itself; from a script we check the shape first.
+// { structure: [{ type: 'text', content } | { type: 'file', id }], files: [{ id, name, data }], replyTo }
+function validateMessageData(body) {
+  const { structure, files = [], replyTo } = body || {};
+  if (!Array.isArray(structure) || structure.length === 0 || !Array.isArray(files)) {
+    throw new ApiError(400, 'Expected { structure: [...], files: [...] }');
+  }
+
+  const fileIds = new Set();
+  files.forEach(file => {
+    if (!file || typeof file.id !== 'string' || typeof file.name !== 'string' || typeof file.data !== 'string') {
+      throw new ApiError(400, 'Each file needs an id, a name and base64 data');
+    }
+    fileIds.add(file.id);
+  });
+  structure.forEach(item => {
+    const valid = item && ((item.type === 'text' && typeof item.content === 'string') ||
+      (item.type === 'file' && fileIds.has(item.id)));
+    if (!valid) {
+      throw new ApiError(400, 'Structure items are { type: "text", content } or { type: "file", id } naming one of the files');
+    }
+  });
+  if (replyTo !== undefined && typeof replyTo !== 'string') {
+    throw new ApiError(400, 'replyTo must be a message ID');
+  }
+
+  return {
+    structure: structure.map(item => (item.type === 'text' ? { type: 'text', content: item.content } : { type: 'file', id: item.id })),
+    files: files.map(({ id, name, data }) => ({ id, name, data })),
+    replyTo
+  };
+}
+
+// ?limit=N (newest N, default 50) and ?since=<ms timestamp> (only later ones)
+function selectMessages(messages, query) {
+  const since = Number(query.get('since')) || 0;
+  const limit = Math.min(Math.max(parseInt(query.get('limit'), 10) || DEFAULT_MESSAGE_LIMIT, 1), MAX_MESSAGE_LIMIT);
+  return messages
+    .filter(message => message.timestamp > since)
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .slice(-limit);
+}
+
+module.exports = { LocalApiServer };
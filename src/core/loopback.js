@@ -0,0 +1,66 @@
+const { EventEmitter } = require('events');
+
+// In-memory network for running several ChatNodes in one process, e.g. in tests.
+// Every transport created from the same LoopbackNetwork can reach the others;
+// broadcast reaches every bound transport except the sender.
+class LoopbackNetwork {
+  constructor() {
+    this.transports = new Map(); // port -> LoopbackTransport
+    this.nextPort = 1;
+  }
+
+  createTransport() {
+    return new LoopbackTransport(this);
+  }
+
+  deliver(buffer, from, port) {
+    const target = this.transports.get(port);
+    if (!target) return;
+    // Asynchronous like a real socket, and a copy so nobody shares buffers
+    const copy = Buffer.from(buffer);
+    setImmediate(() => {
+      if (this.transports.get(port) === target) {
+        target.emit('message', copy, { address: LoopbackTransport.ADDRESS, port: from.port });
+      }
+    });
+  }
+}
+
+class LoopbackTransport extends EventEmitter {
+  constructor(network) {
+    super();
+    this.network = network;
+    this.port = null;
+  }
+
+  async bind() {
+    this.port = this.network.nextPort++;
+    this.network.transports.set(this.port, this);
+    return { port: this.port };
+  }
+
+  send(buffer, address, port) {
+    if (this.port === null) return;
+    this.network.deliver(buffer, this, port);
+  }
+
+  broadcast(buffer) {
+    if (this.port === null) return;
+    this.network.transports.forEach((transport, port) => {
+      if (transport !== this) {
+        this.network.deliver(buffer, this, port);
+      }
+    });
+  }
+
+  close() {
+    if (this.port !== null) {
+      this.network.transports.delete(this.port);
+      this.port = null;
+    }
+  }
+}
+
+LoopbackTransport.ADDRESS = '127.0.0.1';
+
+module.exports = { LoopbackNetwork, LoopbackTransport };
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+
+// Constants
+const BASE_PORT = 12000;
+const DISCOVERY_INTERVAL = 5000; // 5 seconds
+const PEER_TIMEOUT = 30000; // 30 seconds
+const PEER_CLEANUP_INTERVAL = 5000; // 5 seconds
+const INTERFACE_REFRESH_INTERVAL = 10000; // 10 seconds
+const DISCOVERY_MODES = ['broadcast', 'multicast', 'both'];
+const DEFAULT_MULTICAST_TTL = 1; // Stay on the local subnet unless told otherwise
+const ACK_TIMEOUT = 3000; // 3 seconds
+const MAX_RETRIES = 3;
+const DEFAULT_MAX_CLOCK_SKEW = 120000; // 2 minutes - packets older or newer than this are dropped
+const REPLAY_WINDOW = 1024; // How far behind the newest sequence number we still accept
+const SCRYPT_OPTIONS = { N: 32768, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+const SALT_WAIT = 1500; // How long a joiner listens for an existing room salt
+const KEY_WAIT = 5000; // How long a joiner waits for the current rekeyed key
+const REKEY_DELAY = 1000; // Batch departures into a single rekey
+const FILE_CHUNK_SIZE = 16 * 1024; // 16KB raw; base64 inside hex ciphertext makes a ~44KB packet, under UDP's 65,507-byte limit
+const MAX_FILE_SIZE = 100 * 1024 * 1024; // Transfers are held in memory, so attachments are capped
+const AUTO_DOWNLOAD_MAX_BYTES = 10 * 1024 * 1024; // Larger attachments wait until someone clicks them
+const TRANSFER_WINDOW = 8; // Chunks requested at a time
+const CHUNK_TIMEOUT = 2000; // 2 seconds
+const HISTORY_PAGE_SIZE = 25; // Messages per history page
+const HISTORY_PAGE_BYTES = 16 * 1024; // Keeps an encrypted page inside one datagram
+const HISTORY_TIMEOUT = 2000; // 2 seconds
+const HISTORY_STREAM_TTL = 60000; // Keep served pages around for re-requests
+const ANTI_ENTROPY_INTERVAL = 30000; // How often peers compare history digests
+const DIGEST_BUCKET = 60 * 60 * 1000; // Messages are summarised per hour
+const DIGEST_MAX_BUCKETS = 168; // A week of active hours per digest
+const DIGEST_MAX_IDS = 400; // Known IDs sent when pulling differing buckets
+const MAX_REACTION_LENGTH = 16; // An emoji, possibly with modifiers
+const TYPING_INTERVAL = 3000; // At most one TYPING packet this often while typing
+const TYPING_TIMEOUT = 6000; // A typist who goes quiet this long has stopped
+const BRIDGE_PORT = 13080; // WebSocket bridge, clear of the rooms' UDP ports
+const API_PORT = 13090; // Local HTTP API, loopback only
+
+// Message types
+const MESSAGE_TYPES = {
+  JOIN: 'join',
+  MESSAGE: 'message',
+  DIRECT_MESSAGE: 'direct_message',
+  EDIT: 'edit',
+  DELETE: 'delete',
+  REACTION: 'reaction',
+  TYPING: 'typing',
+  READ: 'read',
+  ACK: 'ack',
+  HISTORY: 'history',
+  HISTORY_REQUEST: 'history_request',
+  HISTORY_DIGEST: 'history_digest',
+  STATUS_REQUEST: 'status_request',
+  STATUS: 'status',
+  LEAVE: 'leave',
+  KEY_REQUEST: 'key_request',
+  KEY_GRANT: 'key_grant',
+  FILE_MANIFEST: 'file_manifest',
+  FILE_REQUEST: 'file_request',
+  FILE_CHUNK: 'file_chunk'
+};
+
+// Room and display names as the desktop app normalises them: spaces become
+// dashes, then lowercase with a capital first letter. The room name picks the
+// port, so every client has to agree on this.
+function formatName(name) {
+  if (!name) return '';
+  return name.trim()
+    .replace(/\s+/g, '-')
+    .toLowerCase()
+    .replace(/^./, char => char.toUpperCase());
+}
+
+function getRoomHash(roomName) {
+  return crypto.createHash('md5').update(roomName).digest();
+}
+
+function getPortForRoom(roomName) {
+  const hash = getRoomHash(roomName);
+  const port = BASE_PORT + (hash.readUInt16BE(0) % 1000);
+  return port;
+}
+
+// One group per room in the administratively scoped 239.255.0.0/16 range
+function getMulticastGroupForRoom(roomName) {
+  const hash = getRoomHash(roomName);
+  return `239.255.${hash[2]}.${hash[3]}`;
+}
+
+function generatePeerId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+function generateMessageId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+module.exports = {
+  BASE_PORT,
+  DISCOVERY_INTERVAL,
+  PEER_TIMEOUT,
+  PEER_CLEANUP_INTERVAL,
+  INTERFACE_REFRESH_INTERVAL,
+  DISCOVERY_MODES,
+  DEFAULT_MULTICAST_TTL,
+  ACK_TIMEOUT,
+  MAX_RETRIES,
+  DEFAULT_MAX_CLOCK_SKEW,
+  REPLAY_WINDOW,
+  SCRYPT_OPTIONS,
+  SALT_WAIT,
+  KEY_WAIT,
+  REKEY_DELAY,
+  FILE_CHUNK_SIZE,
+  MAX_FILE_SIZE,
+  AUTO_DOWNLOAD_MAX_BYTES,
+  TRANSFER_WINDOW,
+  CHUNK_TIMEOUT,
+  HISTORY_PAGE_SIZE,
+  HISTORY_PAGE_BYTES,
+  HISTORY_TIMEOUT,
+  HISTORY_STREAM_TTL,
+  ANTI_ENTROPY_INTERVAL,
+  DIGEST_BUCKET,
+  DIGEST_MAX_BUCKETS,
+  DIGEST_MAX_IDS,
+  MAX_REACTION_LENGTH,
+  TYPING_INTERVAL,
+  TYPING_TIMEOUT,
+  BRIDGE_PORT,
+  API_PORT,
+  MESSAGE_TYPES,
+  formatName,
+  getPortForRoom,
+  getMulticastGroupForRoom,
+  generatePeerId,
+  generateMessageId
+};
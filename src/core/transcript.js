@@ -0,0 +1,273 @@
+// Room transcripts
+// A snapshot of a room's messages for keeping outside the app: Markdown and
+// HTML to read, JSON to load back in as archived history. File contents are
+// not part of a transcript; they can be bundled next to it (see zip.js).
+
+const TRANSCRIPT_FORMAT = 'localchat-transcript';
+const TRANSCRIPT_VERSION = 1;
+const MAX_TRANSCRIPT_MESSAGES = 100000;
+
+const FORMATS = {
+  markdown: { name: 'Markdown', extension: 'md' },
+  html: { name: 'HTML', extension: 'html' },
+  json: { name: 'JSON', extension: 'json' }
+};
+
+// messages as ChatNode.getMessages() returns them. attachments maps file ID
+// to the file's name inside the bundled zip, for the files that went in it.
+function createTranscript({ roomName, exportedBy, messages, attachments = new Map() }) {
+  return {
+    format: TRANSCRIPT_FORMAT,
+    version: TRANSCRIPT_VERSION,
+    roomName,
+    exportedBy,
+    exportedAt: Date.now(),
+    messages: messages.map(message => ({
+      id: message.id,
+      sender: message.sender,
+      fingerprint: message.fingerprint,
+      timestamp: message.timestamp,
+      structure: message.deletedAt ? [] : message.structure,
+      files: message.deletedAt ? [] : (message.files || []).map(file => ({
+        id: file.id,
+        name: file.name,
+        size: file.size,
+        hash: file.hash,
+        attachment: attachments.get(file.id)
+      })),
+      replyTo: message.replyTo,
+      editedAt: message.editedAt,
+      deletedAt: message.deletedAt,
+      reactions: (message.reactions || []).map(({ emoji, count, senders }) => ({ emoji, count, senders }))
+    }))
+  };
+}
+
+function formatTranscript(transcript, format) {
+  if (format === 'markdown') return toMarkdown(transcript);
+  if (format === 'html') return toHtml(transcript);
+  if (format === 'json') return `${JSON.stringify(transcript, null, 2)}\n`;
+  throw new Error(`Unknown transcript format ${format}`);
+}
+
+// Where a file goes in the zip; the ID prefix keeps same-named files apart
+function getAttachmentName(file) {
+  const safeName = String(file.name).replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_').slice(0, 120) || 'file';
+  return `${file.id.slice(0, 8)}-${safeName}`;
+}
+
+// Markdown and HTML
+
+function describe(transcript) {
+  const count = transcript.messages.length;
+  return `Exported ${formatTime(transcript.exportedAt)} by ${transcript.exportedBy}. ${count} message${count === 1 ? '' : 's'}.`;
+}
+
+function getSnippet(transcript, messageId) {
+  const original = transcript.messages.find(message => message.id === messageId);
+  if (!original) return null;
+  const text = original.deletedAt ? 'message deleted' : getText(original);
+  return `${original.sender}: ${text.length > 80 ? `${text.slice(0, 80)}…` : text}`;
+}
+
+function getText(message) {
+  const files = new Map(message.files.map(file => [file.id, file]));
+  return message.structure
+    .map(item => (item.type === 'text' ? item.content : `[${(files.get(item.id) || { name: 'file' }).name}]`))
+    .join('');
+}
+
+function describeFile(file) {
+  const where = file.attachment ? `, saved as ${file.attachment} in the attachments zip` : '';
+  return `${file.name} (${formatFileSize(file.size)}${where})`;
+}
+
+function describeReactions(message) {
+  return message.reactions.map(reaction => `${reaction.emoji} ${reaction.count}`).join('  ');
+}
+
+function toMarkdown(transcript) {
+  const lines = [`# ${transcript.roomName}`, '', describe(transcript), ''];
+
+  transcript.messages.forEach(message => {
+    const key = message.fingerprint ? ` · key ${message.fingerprint.slice(0, 9)}` : '';
+    lines.push('---', '', `**${message.sender}** · ${formatTime(message.timestamp)}${key}`, '');
+
+    const snippet = message.replyTo && getSnippet(transcript, message.replyTo);
+    if (snippet) {
+      lines.push(`> ↪ ${snippet.replace(/\n/g, ' ')}`, '');
+    }
+
+    if (message.deletedAt) {
+      lines.push('_message deleted_');
+    } else {
+      const text = message.structure.filter(item => item.type === 'text').map(item => item.content).join('');
+      if (text) lines.push(text);
+      message.files.forEach(file => lines.push(`- 📎 ${describeFile(file)}`));
+      if (message.editedAt) lines.push(`_(edited ${formatTime(message.editedAt)})_`);
+    }
+    if (message.reactions.length > 0) {
+      lines.push('', describeReactions(message));
+    }
+    lines.push('');
+  });
+  return lines.join('\n');
+}
+
+function toHtml(transcript) {
+  const items = transcript.messages.map(message => {
+    const parts = [
+      `<div class="meta"><strong>${escapeHtml(message.sender)}</strong> · ${escapeHtml(formatTime(message.timestamp))}` +
+        (message.fingerprint ? ` · <span title="${escapeHtml(message.fingerprint)}">key ${escapeHtml(message.fingerprint.slice(0, 9))}</span>` : '') +
+        '</div>'
+    ];
+
+    const snippet = message.replyTo && getSnippet(transcript, message.replyTo);
+    if (snippet) {
+      parts.push(`<blockquote>↪ ${escapeHtml(snippet)}</blockquote>`);
+    }
+
+    if (message.deletedAt) {
+      parts.push('<p class="note">message deleted</p>');
+    } else {
+      const text = message.structure.filter(item => item.type === 'text').map(item => item.content).join('');
+      if (text) parts.push(`<p class="text">${escapeHtml(text)}</p>`);
+      message.files.forEach(file => parts.push(`<p class="file">📎 ${escapeHtml(describeFile(file))}</p>`));
+      if (message.editedAt) parts.push(`<p class="note">edited ${escapeHtml(formatTime(message.editedAt))}</p>`);
+    }
+    if (message.reactions.length > 0) {
+      parts.push(`<p class="note">${escapeHtml(describeReactions(message))}</p>`);
+    }
+    return `<article>\n${parts.join('\n')}\n</article>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(transcript.roomName)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 760px; margin: 24px auto; padding: 0 16px; color: #222; }
+article { border-top: 1px solid #ddd; padding: 8px 0; }
+.meta { font-size: 13px; color: #666; }
+.meta strong { color: #222; }
+.text { white-space: pre-wrap; word-break: break-word; margin: 4px 0; }
+.note { font-size: 13px; color: #888; font-style: italic; margin: 4px 0; }
+.file { margin: 4px 0; }
+blockquote { border-left: 3px solid #ccc; margin: 4px 0; padding-left: 8px; color: #666; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(transcript.roomName)}</h1>
+<p class="note">${escapeHtml(describe(transcript))}</p>
+${items.join('\n')}
+</body>
+</html>
+`;
+}
+
+// Importing
+// Transcripts come from files anyone could have edited, so only well-formed
+// fields are kept and malformed messages are dropped.
+function parseTranscript(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Not a JSON file');
+  }
+  if (!data || data.format !== TRANSCRIPT_FORMAT || !Array.isArray(data.messages)) {
+    throw new Error('Not an exported transcript');
+  }
+  if (data.version !== TRANSCRIPT_VERSION) {
+    throw new Error(`Unsupported transcript version ${data.version}`);
+  }
+
+  const messages = data.messages.slice(0, MAX_TRANSCRIPT_MESSAGES).map(parseMessage).filter(Boolean);
+  return {
+    format: TRANSCRIPT_FORMAT,
+    version: TRANSCRIPT_VERSION,
+    roomName: asString(data.roomName) || 'Unknown room',
+    exportedBy: asString(data.exportedBy) || 'Anonymous',
+    exportedAt: asTime(data.exportedAt) || Date.now(),
+    messages: messages.sort((a, b) => a.timestamp - b.timestamp)
+  };
+}
+
+function parseMessage(message) {
+  if (!message || !asString(message.id) || !asTime(message.timestamp) || !Array.isArray(message.structure)) {
+    return null;
+  }
+
+  const files = (Array.isArray(message.files) ? message.files : [])
+    .filter(file => file && asString(file.id) && asString(file.name))
+    .map(file => ({
+      id: file.id,
+      name: file.name,
+      size: Number.isFinite(file.size) ? file.size : 0,
+      hash: asString(file.hash),
+      attachment: asString(file.attachment)
+    }));
+  const fileIds = new Set(files.map(file => file.id));
+  const structure = message.structure.filter(item => item &&
+    ((item.type === 'text' && typeof item.content === 'string') || (item.type === 'file' && fileIds.has(item.id))))
+    .map(item => (item.type === 'text' ? { type: 'text', content: item.content } : { type: 'file', id: item.id }));
+
+  return {
+    id: message.id,
+    sender: asString(message.sender) || 'Anonymous',
+    fingerprint: asString(message.fingerprint),
+    timestamp: message.timestamp,
+    structure,
+    files,
+    replyTo: asString(message.replyTo),
+    editedAt: asTime(message.editedAt),
+    deletedAt: asTime(message.deletedAt),
+    reactions: (Array.isArray(message.reactions) ? message.reactions : [])
+      .filter(reaction => reaction && asString(reaction.emoji) && Number.isInteger(reaction.count) && reaction.count > 0)
+      .map(reaction => ({
+        emoji: reaction.emoji,
+        count: reaction.count,
+        senders: Array.isArray(reaction.senders) ? reaction.senders.filter(sender => typeof sender === 'string') : []
+      }))
+  };
+}
+
+function asString(value) {
+  return typeof value === 'string' && value ? value : undefined;
+}
+
+function asTime(value) {
+  return Number.isFinite(value) && value > 0 ? value : undefined;
+}
+
+// Helpers
+
+function formatTime(timestamp) {
+  const date = new Date(timestamp);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = {
+  FORMATS,
+  createTranscript,
+  formatTranscript,
+  getAttachmentName,
+  parseTranscript
+};
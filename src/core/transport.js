@@ -0,0 +1,303 @@
+const dgram = require('dgram');
+const os = require('os');
+const { EventEmitter } = require('events');
+const {
+  DISCOVERY_MODES,
+  DEFAULT_MULTICAST_TTL,
+  INTERFACE_REFRESH_INTERVAL,
+  getPortForRoom,
+  getMulticastGroupForRoom
+} = require('./protocol');
+
+// Transports
+// A ChatNode talks to the network only through a transport:
+//   bind()                       -> Promise<{ port }>
+//   send(buffer, address, port)  unicast to one peer
+//   broadcast(buffer)            reach everyone in the room we might not know yet
+//   close()
+// and listens for 'message' (buffer, rinfo), 'error' (err) and
+// 'interfaces-changed' (so the node can announce itself on new networks).
+
+// Network discovery
+function ipv4ToInt(address) {
+  const parts = String(address).split('.').map(Number);
+  if (parts.length !== 4 || parts.some(part => !Number.isInteger(part) || part < 0 || part > 255)) {
+    return null;
+  }
+  return parts.reduce((value, part) => ((value << 8) | part) >>> 0, 0);
+}
+
+function intToIpv4(value) {
+  return [24, 16, 8, 0].map(shift => (value >>> shift) & 255).join('.');
+}
+
+// Directed broadcast address for every IPv4 interface, plus localhost for
+// other instances on this machine and the limited broadcast address
+function getBroadcastAddresses() {
+  const addresses = new Set(['127.0.0.1', '255.255.255.255']);
+  
+  Object.values(os.networkInterfaces()).forEach(entries => {
+    (entries || []).forEach(entry => {
+      // family is a number on some Node 18 releases
+      if (entry.internal || (entry.family !== 'IPv4' && entry.family !== 4)) return;
+      
+      const address = ipv4ToInt(entry.address);
+      const netmask = ipv4ToInt(entry.netmask);
+      // A /32 has no broadcast address
+      if (address === null || netmask === null || netmask === 0xffffffff) return;
+      
+      addresses.add(intToIpv4(((address & netmask) | ~netmask) >>> 0));
+    });
+  });
+  
+  return Array.from(addresses);
+}
+
+function getIPv4Interfaces() {
+  const result = [];
+  Object.entries(os.networkInterfaces()).forEach(([name, entries]) => {
+    (entries || []).forEach(entry => {
+      if (!entry.internal && (entry.family === 'IPv4' || entry.family === 4)) {
+        result.push({ name, address: entry.address });
+      }
+    });
+  });
+  return result;
+}
+
+// Parse "host:port" or "host" entries; the port defaults to the room's base port
+function parseSeedPeers(list) {
+  return (list || []).map(entry => String(entry).trim()).filter(Boolean).map(entry => {
+    const match = entry.match(/^([^\s:]+)(?::(\d+))?$/);
+    const port = match && match[2] ? Number(match[2]) : null;
+    if (!match || (port !== null && (port < 1 || port > 65535))) {
+      throw new Error(`Invalid seed peer "${entry}", expected host or host:port`);
+    }
+    return { host: match[1], port };
+  });
+}
+
+function parseMulticastOptions(options) {
+  const ttl = options.multicastTTL === undefined ? DEFAULT_MULTICAST_TTL : Number(options.multicastTTL);
+  if (!Number.isInteger(ttl) || ttl < 1 || ttl > 255) {
+    throw new Error('Multicast TTL must be a whole number between 1 and 255');
+  }
+  
+  const interfaceAddress = options.multicastInterface || null;
+  if (interfaceAddress && !getIPv4Interfaces().some(iface => iface.address === interfaceAddress)) {
+    throw new Error(`No network interface with address ${interfaceAddress}`);
+  }
+  
+  return { ttl, interfaceAddress };
+}
+
+// UDP on the room's port (or one of the next four), discovering peers by
+// broadcast, multicast or both, plus any seed peers
+class UdpTransport extends EventEmitter {
+  constructor(roomName, options = {}) {
+    super();
+    
+    const mode = options.discoveryMode || 'broadcast';
+    if (!DISCOVERY_MODES.includes(mode)) {
+      throw new Error(`Unknown discovery mode "${mode}"`);
+    }
+    
+    this.basePort = getPortForRoom(roomName);
+    this.logger = options.logger || console;
+    this.discoveryMode = mode;
+    this.seedPeers = parseSeedPeers(options.seedPeers); // [{ host, port }]
+    this.multicast = mode !== 'broadcast' ? {
+      ...parseMulticastOptions(options),
+      group: getMulticastGroupForRoom(roomName),
+      joined: new Set()
+    } : null;
+    this.broadcastAddresses = []; // Directed broadcast addresses of our network interfaces
+    this.socket = null;
+    this.port = null;
+    this.interfaceTimer = null;
+  }
+
+  async bind() {
+    const port = this.basePort;
+    this.logger.log(`Base port for room: ${port}`);
+    
+    // Try to find an available port
+    let actualPort = null;
+    let boundSocket = null;
+    
+    for (let attempt = 0; attempt < 5; attempt++) {
+      try {
+        const bindPort = port + attempt;
+        this.logger.log(`Attempting to bind to port ${bindPort} (attempt ${attempt + 1})`);
+        
+        // Create a new socket for each attempt
+        const testSocket = dgram.createSocket('udp4');
+        
+        // Use a timeout to avoid hanging
+        const bindResult = await Promise.race([
+          new Promise((resolve, reject) => {
+            testSocket.bind(bindPort, (err) => {
+              if (err) {
+                testSocket.close();
+                reject(err);
+              } else {
+                resolve({ socket: testSocket, port: bindPort });
+              }
+            });
+          }),
+          new Promise((_, reject) => {
+            setTimeout(() => reject(new Error('Bind timeout')), 2000);
+          })
+        ]);
+        
+        // Success!
+        boundSocket = bindResult.socket;
+        actualPort = bindResult.port;
+        this.logger.log(`Successfully bound to port ${actualPort}`);
+        break;
+        
+      } catch (err) {
+        this.logger.log(`Failed to bind to port ${port + attempt}: ${err.message}`);
+        if (err.code === 'EADDRINUSE' && attempt < 4) {
+          continue;
+        } else if (attempt === 4) {
+          throw new Error(`Could not bind to any port after 5 attempts. Last error: ${err.message}`);
+        }
+      }
+    }
+    
+    if (!boundSocket || !actualPort) {
+      throw new Error('Failed to bind to any port');
+    }
+    
+    this.socket = boundSocket;
+    this.port = actualPort;
+    this.socket.on('message', (buffer, rinfo) => this.emit('message', buffer, rinfo));
+    this.socket.on('error', (err) => {
+      this.logger.error('UDP Error:', err);
+      this.emit('error', err);
+    });
+    
+    // Enable broadcast
+    this.socket.setBroadcast(true);
+    if (this.multicast) {
+      this.setupMulticast();
+    }
+    
+    // Work out where to broadcast and keep it current
+    this.refreshBroadcastAddresses();
+    this.watchNetworkInterfaces();
+    this.logger.log('Broadcasting to:', this.broadcastAddresses.join(', '));
+    
+    return { port: actualPort };
+  }
+
+  send(buffer, address, port) {
+    if (!this.socket) return;
+    
+    this.socket.send(buffer, port, address, (error) => {
+      if (error && error.code !== 'EACCES') {
+        // Only log non-permission errors
+        this.logger.error('Error sending message to', address + ':' + port, error.message);
+      }
+    });
+  }
+
+  broadcast(buffer) {
+    if (!this.socket) return;
+    
+    // Send to fewer ports to reduce duplicates (base port + 1 backup)
+    const portRange = [this.basePort, this.basePort + 1];
+    
+    // Send to broadcast addresses on limited ports
+    if (this.discoveryMode !== 'multicast') {
+      this.broadcastAddresses.forEach(address => {
+        portRange.forEach(port => {
+          this.send(buffer, address, port);
+        });
+      });
+    }
+    
+    // Send to the room's multicast group on the same ports
+    if (this.multicast) {
+      portRange.forEach(port => {
+        this.send(buffer, this.multicast.group, port);
+      });
+    }
+    
+    // Seed peers reach networks where broadcast is filtered
+    this.seedPeers.forEach(seed => {
+      this.send(buffer, seed.host, seed.port || this.basePort);
+    });
+  }
+
+  close() {
+    clearInterval(this.interfaceTimer);
+    this.interfaceTimer = null;
+    if (this.socket) {
+      try {
+        this.socket.close();
+      } catch (err) {
+        // Ignore close errors
+      }
+      this.socket = null;
+    }
+  }
+
+  // Returns true when the set of broadcast targets changed
+  refreshBroadcastAddresses() {
+    const next = getBroadcastAddresses();
+    const changed = next.join(',') !== this.broadcastAddresses.join(',');
+    this.broadcastAddresses = next;
+    return changed;
+  }
+
+  watchNetworkInterfaces() {
+    clearInterval(this.interfaceTimer);
+    this.interfaceTimer = setInterval(() => {
+      if (this.refreshBroadcastAddresses()) {
+        this.logger.log('Network interfaces changed, broadcasting to:', this.broadcastAddresses.join(', '));
+        this.joinMulticastGroup();
+        this.emit('interfaces-changed');
+      }
+    }, INTERFACE_REFRESH_INTERVAL);
+  }
+
+  setupMulticast() {
+    this.socket.setMulticastTTL(this.multicast.ttl);
+    // Other instances on this machine need to hear us too
+    this.socket.setMulticastLoopback(true);
+    if (this.multicast.interfaceAddress) {
+      this.socket.setMulticastInterface(this.multicast.interfaceAddress);
+    }
+    this.joinMulticastGroup();
+    this.logger.log(`Joined multicast group ${this.multicast.group} (TTL ${this.multicast.ttl})`);
+  }
+
+  // Join the room's group on the chosen interface, or on every IPv4 interface.
+  // Safe to call again after interfaces change; it only joins the new ones.
+  joinMulticastGroup() {
+    if (!this.multicast || !this.socket) return;
+    
+    const addresses = this.multicast.interfaceAddress
+      ? [this.multicast.interfaceAddress]
+      : getIPv4Interfaces().map(iface => iface.address);
+    
+    addresses.forEach(address => {
+      if (this.multicast.joined.has(address)) return;
+      try {
+        this.socket.addMembership(this.multicast.group, address);
+        this.multicast.joined.add(address);
+      } catch (err) {
+        this.logger.error(`Could not join multicast group ${this.multicast.group} on ${address}:`, err.message);
+      }
+    });
+  }
+}
+
+module.exports = {
+  UdpTransport,
+  getBroadcastAddresses,
+  getIPv4Interfaces,
+  parseSeedPeers
+};
@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { WebSocketServer } = require('ws');
+const { ChatNode } = require('./chat-node');
+const { UdpTransport } = require('./transport');
+const { Identity } = require('./identity');
+const { BRIDGE_PORT, formatName } = require('./protocol');
+
+const LOOPBACK_HOST = '127.0.0.1';
+const ACCESS_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I to misread
+const ACCESS_CODE_LENGTH = 12;
+const AUTH_TIMEOUT = 10000; // A socket has this long to present the access code
+const MAX_FRAME_BYTES = 64 * 1024; // Text messages only
+const MAX_TEXT_LENGTH = 8000;
+const MAX_CLIENTS = 4; // Each session binds one of the room's five UDP ports; the desktop app has the first
+const CLIENT_FILES = {
+  '/': { file: 'index.html', type: 'text/html; charset=utf-8' },
+  '/client.js': { file: 'client.js', type: 'text/javascript; charset=utf-8' }
+};
+
+// Node events passed on to browsers, under the same names the desktop UI gets them
+const FORWARDED_EVENTS = {
+  message: 'new-message',
+  'direct-message': 'new-direct-message',
+  history: 'history-received',
+  'message-updated': 'message-updated',
+  'peers-changed': 'peers-updated',
+  'peer-event': 'peer-event',
+  'typing-changed': 'typing-changed',
+  'read-markers': 'read-markers'
+};
+
+// What a bridged browser may ask its session to do
+const ACTIONS = {
+  'send-message': (node, { text, replyTo }) => node.sendChatMessage({ structure: toTextStructure(text), replyTo }).message,
+  'send-typing': node => node.sendTyping(),
+  'mark-read': node => node.markRead(),
+  'get-peers': node => node.getPeers()
+};
+
+// WebSocket bridge
+// Lets browsers (phones, locked-down machines) into a room through this
+// machine. Every browser gets its own ChatNode with its own UDP socket and a
+// persistent identity kept here, so to the rest of the room it's an ordinary
+// peer: room traffic stays encrypted and signed on the LAN as usual. Browsers
+// see decrypted messages and send the access code, so that hop is plain
+// HTTP/WebSocket only on loopback; other hosts need tls ({ key, cert }).
+class WebSocketBridge extends EventEmitter {
+  constructor({ roomName, passphrase = '', transportOptions = {}, maxClockSkew, knownPeerKeys, dataDir, clientDir, port = BRIDGE_PORT, host = LOOPBACK_HOST, tls = null, logger = console }) {
+    super();
+    this.roomName = roomName;
+    this.passphrase = passphrase;
+    this.transportOptions = transportOptions;
+    this.maxClockSkew = maxClockSkew;
+    this.knownPeerKeys = knownPeerKeys;
+    this.identityDir = path.join(dataDir, 'bridge');
+    this.clientDir = clientDir || path.join(__dirname, '..', 'bridge');
+    this.port = port;
+    this.host = host;
+    this.tls = tls;
+    this.logger = logger; // Passed on to every session's node
+    this.accessCode = generateAccessCode();
+    this.server = null;
+    this.wss = null;
+    this.sessions = new Set(); // { socket, node }
+  }
+
+  // Listen on the given port, or any free one if it's taken
+  async start() {
+    if (!this.tls && !isLoopback(this.host)) {
+      throw new Error('The bridge needs a TLS certificate and key to listen beyond this computer');
+    }
+    const handler = (req, res) => this.serveClient(req, res);
+    this.server = this.tls ? https.createServer(this.tls, handler) : http.createServer(handler);
+    this.wss = new WebSocketServer({ server: this.server, maxPayload: MAX_FRAME_BYTES });
+    this.wss.on('connection', (socket, req) => this.handleConnection(socket, req));
+
+    const listen = port => new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, this.host, () => {
+        this.server.removeListener('error', reject);
+        resolve(this.server.address().port);
+      });
+    });
+
+    try {
+      this.port = await listen(this.port);
+    } catch (err) {
+      if (err.code !== 'EADDRINUSE') throw err;
+      this.port = await listen(0);
+    }
+    this.logger.log(`Bridge for ${this.roomName} listening on ${this.tls ? 'https' : 'http'}://${this.host}:${this.port}`);
+    return { port: this.port, accessCode: this.accessCode, secure: Boolean(this.tls) };
+  }
+
+  async stop() {
+    const sessions = Array.from(this.sessions);
+    this.sessions.clear();
+    await Promise.all(sessions.map(session => this.endSession(session)));
+    if (this.wss) {
+      this.wss.close();
+      this.wss = null;
+    }
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  getClientCount() {
+    return Array.from(this.sessions).filter(session => session.node).length;
+  }
+
+  serveClient(req, res) {
+    const entry = req.method === 'GET' && CLIENT_FILES[req.url.split(/[?#]/)[0]];
+    if (!entry) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+
+    fs.readFile(path.join(this.clientDir, entry.file), (err, data) => {
+      if (err) {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end('Client files missing');
+        return;
+      }
+      res.writeHead(200, {
+        'Content-Type': entry.type,
+        'Content-Security-Policy': "default-src 'self'; connect-src 'self'; style-src 'self' 'unsafe-inline'",
+        'Cache-Control': 'no-store'
+      });
+      res.end(data);
+    });
+  }
+
+  // The first frame must be { type: 'auth', accessCode, name, clientKey }.
+  // clientKey is a random secret the browser keeps, which picks its identity here.
+  handleConnection(socket, req) {
+    const session = { socket, node: null, joining: false, address: req.socket.remoteAddress };
+    this.sessions.add(session);
+
+    const authTimer = setTimeout(() => socket.close(4001, 'No access code'), AUTH_TIMEOUT);
+    socket.on('close', () => {
+      clearTimeout(authTimer);
+      if (this.sessions.delete(session)) {
+        this.endSession(session);
+      }
+    });
+    socket.on('error', err => this.logger.error('Bridge socket error:', err.message));
+
+    socket.on('message', async data => {
+      let frame;
+      try {
+        frame = JSON.parse(data.toString());
+      } catch (err) {
+        socket.close(4000, 'Bad frame');
+        return;
+      }
+
+      if (!session.node) {
+        clearTimeout(authTimer);
+        if (session.joining) return;
+        session.joining = true;
+        await this.authenticate(session, frame);
+      } else if (frame.type === 'request') {
+        this.handleRequest(session, frame);
+      }
+    });
+  }
+
+  async authenticate(session, frame) {
+    const { socket } = session;
+    if (frame.type !== 'auth' || !checkAccessCode(frame.accessCode, this.accessCode)) {
+      this.logger.log(`Bridge: wrong access code from ${session.address}`);
+      socket.close(4001, 'Wrong access code');
+      return;
+    }
+    if (typeof frame.clientKey !== 'string' || frame.clientKey.length < 16) {
+      socket.close(4000, 'Missing client key');
+      return;
+    }
+
+    // Sessions already joined or joining, not counting this one
+    const others = Array.from(this.sessions).filter(other => other !== session && (other.node || other.joining)).length;
+    if (others >= MAX_CLIENTS) {
+      socket.close(4003, 'The bridge is full');
+      return;
+    }
+
+    let node = null;
+    try {
+      const identityName = crypto.createHash('sha256').update(frame.clientKey).digest('hex').slice(0, 32);
+      node = new ChatNode({
+        roomName: this.roomName,
+        displayName: formatName(String(frame.name || '')).slice(0, 40) || undefined,
+        passphrase: this.passphrase,
+        maxClockSkew: this.maxClockSkew,
+        identity: Identity.load(path.join(this.identityDir, identityName), this.logger),
+        knownPeerKeys: this.knownPeerKeys,
+        logger: this.logger,
+        transport: new UdpTransport(this.roomName, { ...this.transportOptions, logger: this.logger })
+      });
+
+      Object.entries(FORWARDED_EVENTS).forEach(([event, name]) => {
+        node.on(event, payload => send(socket, { type: 'event', event: name, payload }));
+      });
+      node.on('network-error', err => this.logger.error(`Bridge session network error: ${err.message}`));
+      await node.join();
+    } catch (error) {
+      this.logger.error(`Bridge: could not start a session for ${session.address}:`, error.message);
+      if (node) {
+        node.close();
+      }
+      send(socket, { type: 'error', error: error.message });
+      socket.close(4002, 'Could not join the room');
+      return;
+    }
+
+    // The browser went away while we were joining
+    if (!this.sessions.has(session)) {
+      node.leave();
+      return;
+    }
+
+    session.node = node;
+    this.logger.log(`Bridge: ${node.displayName} joined from ${session.address}`);
+    send(socket, {
+      type: 'joined',
+      roomName: this.roomName,
+      displayName: node.displayName,
+      fingerprint: node.identity.fingerprint,
+      messages: node.getMessages(),
+      peers: node.getPeers()
+    });
+    this.emit('clients-changed', this.getClientCount());
+  }
+
+  handleRequest(session, { id, action, data }) {
+    const run = ACTIONS[action];
+    try {
+      if (!run) {
+        throw new Error(`Unknown action ${action}`);
+      }
+      send(session.socket, { type: 'result', id, success: true, result: run(session.node, data || {}) });
+    } catch (error) {
+      send(session.socket, { type: 'result', id, success: false, error: error.message });
+    }
+  }
+
+  async endSession(session) {
+    if (session.socket.readyState === session.socket.OPEN) {
+      session.socket.close(1001, 'Bridge closed');
+    }
+    if (session.node) {
+      const node = session.node;
+      session.node = null;
+      await node.leave();
+      this.emit('clients-changed', this.getClientCount());
+    }
+  }
+}
+
+function send(socket, frame) {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(frame));
+  }
+}
+
+function toTextStructure(text) {
+  if (typeof text !== 'string' || !text.trim() || text.length > MAX_TEXT_LENGTH) {
+    throw new Error('Messages must be non-empty text');
+  }
+  return [{ type: 'text', content: text }];
+}
+
+function isLoopback(host) {
+  return host === 'localhost' || host === '::1' || /^127\./.test(String(host));
+}
+
+function generateAccessCode() {
+  const bytes = crypto.randomBytes(ACCESS_CODE_LENGTH);
+  return Array.from(bytes, byte => ACCESS_CODE_ALPHABET[byte % ACCESS_CODE_ALPHABET.length]).join('');
+}
+
+function checkAccessCode(given, expected) {
+  const actual = Buffer.from(String(given || '').toUpperCase());
+  const wanted = Buffer.from(expected);
+  return actual.length === wanted.length && crypto.timingSafeEqual(actual, wanted);
+}
+
+module.exports = { WebSocketBridge };
@@ -1,38 +1,41 @@
-const { app, BrowserWindow, ipcMain, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, Notification } = require('electron');
 const path = require('path');
-const dgram = require('dgram');
 const crypto = require('crypto');
 const fs = require('fs');
+const {
+  ChatNode,
+  UdpTransport,
+  Identity,
+  KnownPeerKeys,
+  HistoryStore,
+  WebSocketBridge,
+  LocalApiServer,
+  createZip,
+  getIPv4Interfaces,
+  transcript
+} = require('./core');
+
+// Attachment previews, built here from the bytes we hold rather than from
+// anything the sender claims about the file
+const IMAGE_PREVIEW_MAX_BYTES = 10 * 1024 * 1024; // 10MB
+const TEXT_PREVIEW_MAX_BYTES = 256 * 1024; // Only small text files get a preview
+const TEXT_PREVIEW_CHARS = 4000;
+const TEXT_PREVIEW_EXTENSIONS = ['.txt', '.log', '.json'];
+
+const MAX_TRANSCRIPT_BYTES = 50 * 1024 * 1024; // Largest JSON transcript we'll import
+
+// Room events streamed to local API clients (see core/local-api.js)
+const API_EVENTS = ['message', 'message-updated'];
 
 // Application state
 let mainWindow;
-let udpSocket;
-let currentRoom = null;
-let displayName = null;
-let myPeerId = null;
-let peers = new Map(); // peerId -> { address, port, lastSeen }
-let messages = []; // In-memory message storage
-let roomKey = null;
-let processedMessages = new Set(); // Track processed message IDs to prevent duplicates
-let historyReceived = false; // Track if we've received history from peers
-
-// Constants
-const BASE_PORT = 12000;
-const DISCOVERY_INTERVAL = 5000; // 5 seconds
-const PEER_TIMEOUT = 30000; // 30 seconds
-const ACK_TIMEOUT = 3000; // 3 seconds
-const MAX_RETRIES = 3;
-
-// Message types
-const MESSAGE_TYPES = {
-  JOIN: 'join',
-  MESSAGE: 'message',
-  ACK: 'ack',
-  HISTORY: 'history',
-  HISTORY_REQUEST: 'history_request',
-  STATUS_REQUEST: 'status_request',
-  LEAVE: 'leave'
-};
+let chatNodes = new Map(); // roomId -> ChatNode, one session per joined room (see core/chat-node.js)
+let transportOptions = new Map(); // roomId -> the UdpTransport options it joined with, reused by its bridge
+let bridges = new Map(); // roomId -> WebSocketBridge letting browsers into that room (see core/ws-bridge.js)
+let identity = null; // Persistent per install
+let knownPeerKeys = null; // displayName -> fingerprint, trust-on-first-use
+let notifications = new Set(); // Shown notifications, held so their click handlers aren't collected
+let localApi = null; // LocalApiServer for scripts on this machine, only when launched with --api
 
 function createWindow() {
   mainWindow = new BrowserWindow({
@@ -47,6 +50,7 @@ function createWindow() {
   });
 
   mainWindow.loadFile(path.join(__dirname, 'index.html'));
+  mainWindow.on('focus', () => mainWindow.flashFrame(false));
 
   // Open DevTools in development
   if (process.argv.includes('--dev')) {
@@ -54,526 +58,527 @@ function createWindow() {
   }
 }
 
-// Encryption utilities
-function deriveKey(roomName) {
-  const salt = Buffer.from('localchat2024salt', 'utf8'); // Fixed salt
-  return crypto.pbkdf2Sync(roomName, salt, 100000, 32, 'sha256');
+function loadIdentity() {
+  if (!identity) {
+    identity = Identity.load(app.getPath('userData'));
+  }
+  return identity;
 }
 
-function encrypt(text, key) {
-  const iv = crypto.randomBytes(16);
-  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
-  cipher.setAAD(Buffer.from('localchat', 'utf8'));
-  
-  let encrypted = cipher.update(text, 'utf8', 'hex');
-  encrypted += cipher.final('hex');
-  
-  const authTag = cipher.getAuthTag();
-  
-  return {
-    iv: iv.toString('hex'),
-    encrypted,
-    authTag: authTag.toString('hex')
-  };
+function loadKnownPeerKeys() {
+  if (!knownPeerKeys) {
+    knownPeerKeys = new KnownPeerKeys(path.join(app.getPath('userData'), 'known-peers.json'));
+  }
+  return knownPeerKeys;
 }
 
-function decrypt(encryptedData, key) {
-  try {
-    const iv = Buffer.from(encryptedData.iv, 'hex');
-    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
-    decipher.setAAD(Buffer.from('localchat', 'utf8'));
-    decipher.setAuthTag(Buffer.from(encryptedData.authTag, 'hex'));
-    
-    let decrypted = decipher.update(encryptedData.encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    
-    return decrypted;
-  } catch (error) {
-    console.error('Decryption failed:', error);
+// --bridge-cert=<pem> and --bridge-key=<pem> let the browser bridge serve HTTPS
+// to the LAN; without them it only listens on this computer
+function loadBridgeTls() {
+  const certArg = process.argv.find(arg => arg.startsWith('--bridge-cert='));
+  const keyArg = process.argv.find(arg => arg.startsWith('--bridge-key='));
+  if (!certArg || !keyArg) {
     return null;
   }
+  return {
+    cert: fs.readFileSync(certArg.slice('--bridge-cert='.length)),
+    key: fs.readFileSync(keyArg.slice('--bridge-key='.length))
+  };
 }
 
-// UDP networking
-function getPortForRoom(roomName) {
-  const hash = crypto.createHash('md5').update(roomName).digest();
-  const port = BASE_PORT + (hash.readUInt16BE(0) % 1000);
-  return port;
+function sendToRenderer(channel, ...args) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send(channel, ...args);
+  }
 }
 
-function createUDPSocket() {
-  if (udpSocket) {
-    try {
-      udpSocket.close();
-    } catch (err) {
-      // Ignore close errors
-    }
-    udpSocket = null;
-  }
+// Forward a session's events to the renderer tagged with its room ID,
+// ignoring stragglers from one we've left
+function forwardNodeEvents(roomId, node) {
+  const forward = (event, channel) => {
+    node.on(event, payload => {
+      if (chatNodes.get(roomId) === node) {
+        sendToRenderer(channel, roomId, payload);
+        if (API_EVENTS.includes(event)) {
+          publishToApi(roomId, event, payload);
+        }
+      }
+    });
+  };
 
-  udpSocket = dgram.createSocket('udp4');
-  
-  udpSocket.on('message', handleUDPMessage);
-  udpSocket.on('error', (err) => {
-    console.error('UDP Error:', err);
-    // Don't send bind errors to UI - they're handled in join-room
-    if (err.code !== 'EADDRINUSE' && mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send('error', `Network error: ${err.message}`);
+  forward('message', 'new-message');
+  forward('direct-message', 'new-direct-message');
+  forward('history', 'history-received');
+  forward('message-updated', 'message-updated');
+  forward('message-status', 'message-status');
+  forward('typing-changed', 'typing-changed');
+  forward('read-markers', 'read-markers');
+  forward('file-progress', 'file-transfer-progress');
+  forward('peers-changed', 'peers-updated');
+  forward('peer-event', 'peer-event');
+  forward('identity-warning', 'identity-warning');
+  node.on('network-error', err => {
+    // Bind errors are handled in join-room
+    if (chatNodes.get(roomId) === node && err.code !== 'EADDRINUSE') {
+      sendToRenderer('error', `Network error in ${node.roomName}: ${err.message}`);
     }
   });
 }
 
-function handleUDPMessage(buffer, rinfo) {
-  try {
-    const message = JSON.parse(buffer.toString());
-    
-    // Skip our own messages immediately
-    if (message.peerId === myPeerId) {
-      return;
-    }
-    
-    // Skip duplicate messages (prevents multi-port duplicates)
-    if (message.messageId && processedMessages.has(message.messageId)) {
-      return;
-    }
-    
-    // Add to processed messages set
-    if (message.messageId) {
-      processedMessages.add(message.messageId);
-      
-      // Clean up old message IDs (keep last 1000)
-      if (processedMessages.size > 1000) {
-        const oldMessages = Array.from(processedMessages).slice(0, 500);
-        oldMessages.forEach(id => processedMessages.delete(id));
-      }
-    }
-    
-    // Decrypt the message if it has encrypted content
-    if (message.encrypted && roomKey) {
-      const decrypted = decrypt(message.encrypted, roomKey);
-      if (decrypted) {
-        message.content = JSON.parse(decrypted);
-      } else {
-        console.log('Failed to decrypt message from', rinfo.address);
-        return;
-      }
-    }
+// Recognise PNG, JPEG, GIF and WebP by their magic numbers
+function sniffImageType(data) {
+  if (data.length >= 8 && data.readUInt32BE(0) === 0x89504e47 && data.readUInt32BE(4) === 0x0d0a1a0a) {
+    return 'image/png';
+  }
+  if (data.length >= 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (data.length >= 6 && /^GIF8[79]a$/.test(data.toString('latin1', 0, 6))) {
+    return 'image/gif';
+  }
+  if (data.length >= 12 && data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
 
-    // Update peer info for valid peers
-    if (message.peerId && message.peerId !== myPeerId) {
-      peers.set(message.peerId, {
-        address: rinfo.address,
-        port: rinfo.port,
-        lastSeen: Date.now(),
-        displayName: message.displayName,
-        hasTimedOut: false // Reset timeout flag when peer is active
-      });
-    }
+function getFilePreview({ manifest, data }) {
+  const mime = sniffImageType(data);
+  if (mime) {
+    return data.length <= IMAGE_PREVIEW_MAX_BYTES ? { kind: 'image', mime, data } : null;
+  }
 
-    handleMessage(message, rinfo);
-  } catch (error) {
-    console.error('Error parsing UDP message:', error);
+  const extension = path.extname(manifest.name).toLowerCase();
+  if (!TEXT_PREVIEW_EXTENSIONS.includes(extension) || data.length > TEXT_PREVIEW_MAX_BYTES) {
+    return null;
   }
-}
 
-function handleMessage(message, rinfo) {
-  switch (message.type) {
-    case MESSAGE_TYPES.JOIN:
-      handleJoinMessage(message, rinfo);
-      break;
-    case MESSAGE_TYPES.MESSAGE:
-      handleChatMessage(message, rinfo);
-      break;
-    case MESSAGE_TYPES.ACK:
-      handleAckMessage(message);
-      break;
-    case MESSAGE_TYPES.HISTORY:
-      handleHistoryMessage(message);
-      break;
-    case MESSAGE_TYPES.HISTORY_REQUEST:
-      handleHistoryRequest(message, rinfo);
-      break;
-    case MESSAGE_TYPES.STATUS_REQUEST:
-      handleStatusRequest(message, rinfo);
-      break;
-    case MESSAGE_TYPES.LEAVE:
-      handleLeaveMessage(message);
-      break;
+  let text = data.toString('utf8');
+  if (text.includes('\u0000')) {
+    return null; // Binary, whatever the name says
+  }
+  if (extension === '.json') {
+    try {
+      text = JSON.stringify(JSON.parse(text), null, 2);
+    } catch (error) {
+      // Show it as it is
+    }
   }
+  return { kind: 'text', text: text.slice(0, TEXT_PREVIEW_CHARS), truncated: text.length > TEXT_PREVIEW_CHARS };
 }
 
-function handleJoinMessage(message, rinfo) {
-  console.log(`${message.displayName} joined from ${rinfo.address}`);
-  
-  // Don't automatically send history - let the new peer request it
-  // This allows them to choose which peer's history to use
+function getChatNode(roomId) {
+  const node = chatNodes.get(roomId);
+  return node && node.joined ? node : null;
 }
 
-function handleChatMessage(message, rinfo) {
-  const chatMessage = {
-    id: message.messageId,
-    sender: message.displayName,
-    structure: message.content.structure,
-    files: message.content.files || [],
-    timestamp: message.timestamp
-  };
-  
-  messages.push(chatMessage);
-  
-  // Send to UI
-  mainWindow.webContents.send('new-message', chatMessage);
+function closeChatNodes() {
+  bridges.forEach(bridge => bridge.stop());
+  bridges.clear();
+  chatNodes.forEach(node => node.close());
+  chatNodes.clear();
 }
 
-function handleAckMessage(message) {
-  // ACK handling removed for simplicity
-}
+// Shared by the IPC handlers and the local API
 
-function handleHistoryMessage(message) {
-  // Only accept the first history response to avoid conflicts
-  if (!historyReceived && message.content.history) {
-    historyReceived = true;
-    messages = [...message.content.history];
-    mainWindow.webContents.send('history-received', messages);
-    console.log(`Received chat history from ${message.displayName} (${message.content.history.length} messages)`);
+// Our own sends, edits and deletions don't come back as node events, so
+// whoever makes them passes them on to event stream subscribers here
+function publishToApi(roomId, event, payload) {
+  if (localApi) {
+    localApi.publish(roomId, event, payload);
   }
 }
 
-function handleHistoryRequest(message, rinfo) {
-  // Send our chat history to the requesting peer
-  if (messages.length > 0) {
-    sendHistoryToPeer(message.peerId, rinfo);
-  }
+function listRooms() {
+  return Array.from(chatNodes.entries()).map(([roomId, node]) => ({
+    roomId,
+    roomName: node.roomName,
+    displayName: node.displayName,
+    peerCount: node.peers.size
+  }));
 }
 
-function handleStatusRequest(message, rinfo) {
-  // Simplified - no ACK needed
+function getPeers(roomId) {
+  const node = getChatNode(roomId);
+  return node ? node.getPeers() : null;
 }
 
-function handleLeaveMessage(message) {
-  if (peers.has(message.peerId)) {
-    peers.delete(message.peerId);
+// { structure: [...], files: [...], replyTo }
+function sendMessage(roomId, messageData) {
+  const node = getChatNode(roomId);
+  if (!node) {
+    return { success: false, error: 'Not in a room' };
   }
-}
 
-function sendHistoryToPeer(peerId, rinfo) {
-  const historyMessage = {
-    type: MESSAGE_TYPES.HISTORY,
-    messageId: generateMessageId(),
-    peerId: myPeerId,
-    displayName: displayName,
-    timestamp: Date.now(),
-    content: { history: messages }
-  };
-  
-  sendMessage(historyMessage, rinfo.address, rinfo.port);
-}
-
-function requestChatHistory() {
-  const historyRequestMessage = {
-    type: MESSAGE_TYPES.HISTORY_REQUEST,
-    messageId: generateMessageId(),
-    peerId: myPeerId,
-    displayName: displayName,
-    timestamp: Date.now()
-  };
-  
-  console.log('Requesting chat history from peers...');
-  broadcastMessage(historyRequestMessage);
-}
-
-function sendMessage(message, address, port) {
-  if (!udpSocket) return;
-  
-  // Encrypt content if we have a room key
-  if (roomKey && message.content) {
-    const encrypted = encrypt(JSON.stringify(message.content), roomKey);
-    message.encrypted = encrypted;
-    delete message.content;
+  try {
+    const { message, status } = node.sendChatMessage(messageData);
+    publishToApi(roomId, 'message', message);
+    return { success: true, message, status };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
-  
-  const buffer = Buffer.from(JSON.stringify(message));
-  udpSocket.send(buffer, port, address, (error) => {
-    if (error && error.code !== 'EACCES') {
-      // Only log non-permission errors
-      console.error('Error sending message to', address + ':' + port, error.message);
-    }
-  });
 }
 
-function broadcastMessage(message) {
-  if (!currentRoom || !udpSocket) return;
-  
-  const basePort = getPortForRoom(currentRoom);
-  
-  // Use multiple broadcast strategies for better coverage
-  const addresses = [
-    '127.0.0.1',      // localhost
-    '192.168.1.255',  // common home network broadcast
-    '192.168.0.255',  // common home network broadcast  
-    '10.0.0.255',     // corporate networks
-    '172.16.255.255'  // private network range
-  ];
-  
-  // Send to fewer ports to reduce duplicates (base port + 1 backup)
-  const portRange = [basePort, basePort + 1];
-  
-  // Send to known peers directly (single port)
-  peers.forEach((peer, peerId) => {
-    if (peerId !== myPeerId) {
-      sendMessage(message, peer.address, basePort);
+// Opt-in with --api (and --api-port=<port>). The token is new every launch and
+// written where only this user can read it; scripts send it as a bearer token.
+async function startLocalApi() {
+  const portArg = process.argv.find(arg => arg.startsWith('--api-port='));
+  const tokenPath = path.join(app.getPath('userData'), 'api-token');
+
+  localApi = new LocalApiServer({
+    port: portArg ? Number(portArg.split('=')[1]) : undefined,
+    handlers: {
+      listRooms,
+      getPeers,
+      getMessages: roomId => {
+        const node = getChatNode(roomId);
+        return node ? node.getMessages() : null;
+      },
+      sendMessage: (roomId, messageData) => {
+        const result = sendMessage(roomId, messageData);
+        if (result.success) {
+          // The window didn't send it, so show it there too
+          sendToRenderer('message-sent', roomId, { message: result.message, status: result.status });
+        }
+        return result;
+      }
     }
   });
-  
-  // Send to broadcast addresses on limited ports
-  addresses.forEach(address => {
-    portRange.forEach(port => {
-      sendMessage(message, address, port);
-    });
-  });
-}
 
-function generatePeerId() {
-  return crypto.randomBytes(8).toString('hex');
+  try {
+    const { port, token } = await localApi.start();
+    fs.writeFileSync(tokenPath, `${token}\n`, { mode: 0o600 });
+    console.log(`Local API token in ${tokenPath} (port ${port})`);
+  } catch (error) {
+    console.error('Could not start the local API:', error);
+    localApi = null;
+  }
 }
 
-function generateMessageId() {
-  return crypto.randomBytes(16).toString('hex');
+function stopLocalApi() {
+  if (localApi) {
+    localApi.stop();
+    localApi = null;
+    fs.rmSync(path.join(app.getPath('userData'), 'api-token'), { force: true });
+  }
 }
 
-// Cleanup inactive peers
-function cleanupPeers() {
-  const now = Date.now();
-  const toRemove = [];
-  
-  peers.forEach((peer, peerId) => {
-    if (now - peer.lastSeen > PEER_TIMEOUT && !peer.hasTimedOut) {
-      toRemove.push(peerId);
-    }
-  });
-  
-  toRemove.forEach(peerId => {
-    const peer = peers.get(peerId);
-    if (peer && !peer.hasTimedOut) {
-      peer.hasTimedOut = true; // Mark as timed out to prevent duplicate messages
-      
-      // Remove after a short delay
-      setTimeout(() => {
-        peers.delete(peerId);
-      }, 100);
-    }
-  });
+async function stopBridge(roomId) {
+  const bridge = bridges.get(roomId);
+  if (bridge) {
+    bridges.delete(roomId);
+    await bridge.stop();
+  }
 }
 
-// Start peer cleanup interval
-setInterval(cleanupPeers, 5000);
-
 // IPC handlers
-ipcMain.handle('join-room', async (event, roomName, userName) => {
+ipcMain.handle('join-room', async (event, roomName, userName, options = {}) => {
+  let roomId = null;
   try {
     console.log(`Attempting to join room: ${roomName} as ${userName}`);
     
-    // Clean up any existing connection first
-    if (udpSocket) {
-      try {
-        udpSocket.close();
-      } catch (err) {
-        // Ignore close errors
-      }
-      udpSocket = null;
+    // The room name picks the port, so a second session would only talk to the first
+    if (Array.from(chatNodes.values()).some(node => node.roomName === roomName)) {
+      throw new Error(`Already in room ${roomName}`);
     }
     
-    currentRoom = roomName;
-    displayName = userName || 'Anonymous';
-    myPeerId = generatePeerId(); // Generate a unique peer ID
-    roomKey = deriveKey(roomName);
-    
-    const port = getPortForRoom(roomName);
-    console.log(`Base port for room ${roomName}: ${port}`);
-    
-    // Try to find an available port
-    let actualPort = null;
-    let boundSocket = null;
-    
-    for (let attempt = 0; attempt < 5; attempt++) {
-      try {
-        const bindPort = port + attempt;
-        console.log(`Attempting to bind to port ${bindPort} (attempt ${attempt + 1})`);
-        
-        // Create a new socket for each attempt
-        const testSocket = dgram.createSocket('udp4');
-        
-        // Use a timeout to avoid hanging
-        const bindResult = await Promise.race([
-          new Promise((resolve, reject) => {
-            testSocket.bind(bindPort, (err) => {
-              if (err) {
-                testSocket.close();
-                reject(err);
-              } else {
-                resolve({ socket: testSocket, port: bindPort });
-              }
-            });
-          }),
-          new Promise((_, reject) => {
-            setTimeout(() => reject(new Error('Bind timeout')), 2000);
-          })
-        ]);
-        
-        // Success!
-        boundSocket = bindResult.socket;
-        actualPort = bindResult.port;
-        console.log(`Successfully bound to port ${actualPort}`);
-        break;
-        
-      } catch (err) {
-        console.log(`Failed to bind to port ${port + attempt}: ${err.message}`);
-        if (err.code === 'EADDRINUSE' && attempt < 4) {
-          continue;
-        } else if (attempt === 4) {
-          throw new Error(`Could not bind to any port after 5 attempts. Last error: ${err.message}`);
-        }
-      }
-    }
-    
-    if (!boundSocket || !actualPort) {
-      throw new Error('Failed to bind to any port');
-    }
-    
-    // Set up the bound socket as our main UDP socket
-    udpSocket = boundSocket;
-    udpSocket.on('message', handleUDPMessage);
-    udpSocket.on('error', (err) => {
-      console.error('UDP Error:', err);
-      if (err.code !== 'EADDRINUSE' && mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send('error', `Network error: ${err.message}`);
+    const networkOptions = {
+      discoveryMode: options.discoveryMode,
+      multicastTTL: options.multicastTTL,
+      multicastInterface: options.multicastInterface,
+      seedPeers: options.seedPeers
+    };
+    const transport = new UdpTransport(roomName, networkOptions);
+    // Opt-in: keep an encrypted copy of the room's history under userData
+    const historyStore = options.persistHistory ? new HistoryStore(
+      HistoryStore.pathFor(app.getPath('userData'), roomName),
+      {
+        roomName,
+        roomPassphrase: options.passphrase,
+        localPassphrase: options.historyPassphrase,
+        retentionDays: options.historyRetentionDays
       }
+    ) : null;
+    const node = new ChatNode({
+      roomName,
+      displayName: userName,
+      passphrase: options.passphrase,
+      maxClockSkew: options.maxClockSkewSeconds === undefined ? undefined : Number(options.maxClockSkewSeconds) * 1000,
+      identity: loadIdentity(),
+      knownPeerKeys: loadKnownPeerKeys(),
+      historyStore,
+      transport
     });
     
-    // Enable broadcast
-    udpSocket.setBroadcast(true);
-    console.log(`Room joined successfully on port ${actualPort}`);
-    
-    // Send join message
-    const joinMessage = {
-      type: MESSAGE_TYPES.JOIN,
-      messageId: generateMessageId(),
-      peerId: myPeerId,
-      displayName: displayName,
-      timestamp: Date.now()
-    };
-    
-    broadcastMessage(joinMessage);
-    
-    // Request chat history from any existing peers
-    // Use a small delay to let the join message be processed first
-    setTimeout(() => {
-      requestChatHistory();
-    }, 500);
+    roomId = crypto.randomBytes(4).toString('hex');
+    chatNodes.set(roomId, node);
+    transportOptions.set(roomId, networkOptions);
+    forwardNodeEvents(roomId, node);
+    const { port } = await node.join();
     
-    return { success: true, port: actualPort };
+    // Saved history is loaded before the renderer knows the room, so hand it over here
+    return { success: true, roomId, port, messages: node.getMessages() };
   } catch (error) {
     console.error('Error joining room:', error);
+    chatNodes.delete(roomId);
+    transportOptions.delete(roomId);
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('send-message', async (event, messageData) => {
-  if (!currentRoom || !displayName || !myPeerId) {
+ipcMain.handle('send-message', async (event, roomId, messageData) => {
+  return sendMessage(roomId, messageData);
+});
+
+// Only the author can edit or delete a message; peers check the signature
+ipcMain.handle('edit-message', async (event, roomId, messageId, messageData) => {
+  const node = getChatNode(roomId);
+  if (!node) {
     return { success: false, error: 'Not in a room' };
   }
 
-  const messageId = generateMessageId();
+  try {
+    const { message } = node.editMessage(messageId, messageData);
+    publishToApi(roomId, 'message-updated', message);
+    return { success: true, message };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
 
-  // New format: { structure: [...], files: [...] }
-  const { structure, files } = messageData;
+ipcMain.handle('delete-message', async (event, roomId, messageId) => {
+  const node = getChatNode(roomId);
+  if (!node) {
+    return { success: false, error: 'Not in a room' };
+  }
 
-  const chatMessage = {
-    type: MESSAGE_TYPES.MESSAGE,
-    messageId,
-    peerId: myPeerId,
-    displayName: displayName,
-    timestamp: Date.now(),
-    content: { structure, files } // new content format
-  };
+  try {
+    const { message } = node.deleteMessage(messageId);
+    publishToApi(roomId, 'message-updated', message);
+    return { success: true, message };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
 
-  // Add to local messages first
-  const localMessage = {
-    id: messageId,
-    sender: displayName,
-    structure, // new property
-    files,
-    timestamp: chatMessage.timestamp
-  };
+// Add our reaction with this emoji, or take it back if it's there
+ipcMain.handle('toggle-reaction', async (event, roomId, messageId, emoji) => {
+  const node = getChatNode(roomId);
+  if (!node) {
+    return { success: false, error: 'Not in a room' };
+  }
 
-  messages.push(localMessage);
+  try {
+    const message = node.toggleReaction(messageId, emoji);
+    publishToApi(roomId, 'message-updated', message);
+    return { success: true, message };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
 
-  // Broadcast to peers
-  broadcastMessage(chatMessage);
+// Typing and read markers are fire-and-forget; the node throttles and dedupes them
+ipcMain.handle('send-typing', async (event, roomId) => {
+  const node = getChatNode(roomId);
+  if (node) {
+    node.sendTyping();
+  }
+  return { success: Boolean(node) };
+});
 
-  return { success: true, message: localMessage };
+ipcMain.handle('mark-read', async (event, roomId) => {
+  const node = getChatNode(roomId);
+  return { success: Boolean(node && node.markRead()) };
 });
 
-ipcMain.handle('leave-room', async () => {
-  if (currentRoom && udpSocket) {
-    try {
-      // Send leave message
-      const leaveMessage = {
-        type: MESSAGE_TYPES.LEAVE,
-        messageId: generateMessageId(),
-        peerId: myPeerId,
-        displayName: displayName,
-        timestamp: Date.now()
-      };
-      
-      broadcastMessage(leaveMessage);
-      
-      // Small delay to ensure message is sent
-      await new Promise(resolve => setTimeout(resolve, 100));
-    } catch (err) {
-      console.error('Error sending leave message:', err);
+// A private message to one peer in the room, never shared through history
+ipcMain.handle('send-direct-message', async (event, roomId, peerId, messageData) => {
+  const node = getChatNode(roomId);
+  if (!node) {
+    return { success: false, error: 'Not in a room' };
+  }
+
+  try {
+    const { message, status } = node.sendDirectMessage(peerId, messageData);
+    return { success: true, message, status };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('leave-room', async (event, roomId) => {
+  await stopBridge(roomId);
+  if (localApi) {
+    localApi.closeRoom(roomId);
+  }
+  const node = chatNodes.get(roomId);
+  if (node) {
+    chatNodes.delete(roomId);
+    transportOptions.delete(roomId);
+    await node.leave();
+  }
+  
+  return { success: true };
+});
+
+// Replace the room key so keys held by members who have left stop working
+ipcMain.handle('rekey-room', async (event, roomId) => {
+  const node = getChatNode(roomId);
+  if (!node || !node.roomKey) {
+    return { success: false, error: 'Not in a room' };
+  }
+  return { success: true, epoch: node.rekey() };
+});
+
+// Open a WebSocket endpoint and browser client for this room. Each browser
+// that connects with the access code becomes a peer of its own.
+ipcMain.handle('start-bridge', async (event, roomId) => {
+  const node = getChatNode(roomId);
+  if (!node) {
+    return { success: false, error: 'Not in a room' };
+  }
+
+  try {
+    let bridge = bridges.get(roomId);
+    if (!bridge) {
+      const tls = loadBridgeTls();
+      bridge = new WebSocketBridge({
+        roomName: node.roomName,
+        passphrase: node.roomPassphrase,
+        transportOptions: transportOptions.get(roomId),
+        maxClockSkew: node.maxClockSkew,
+        knownPeerKeys: loadKnownPeerKeys(),
+        dataDir: app.getPath('userData'),
+        host: tls ? '0.0.0.0' : undefined,
+        tls
+      });
+      bridges.set(roomId, bridge);
+      bridge.on('clients-changed', count => sendToRenderer('bridge-clients', roomId, count));
+      await bridge.start();
     }
-    
-    // Cleanup
-    try {
-      udpSocket.close();
-    } catch (err) {
-      // Ignore close errors
+
+    const hosts = bridge.tls ? getIPv4Interfaces().map(iface => iface.address) : [bridge.host];
+    return {
+      success: true,
+      port: bridge.port,
+      accessCode: bridge.accessCode,
+      secure: Boolean(bridge.tls),
+      urls: hosts.map(host => `${bridge.tls ? 'https' : 'http'}://${host}:${bridge.port}/#${bridge.accessCode}`)
+    };
+  } catch (error) {
+    bridges.delete(roomId);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('stop-bridge', async (event, roomId) => {
+  await stopBridge(roomId);
+  return { success: true };
+});
+
+ipcMain.handle('get-rooms', async () => {
+  return listRooms();
+});
+
+ipcMain.handle('get-network-interfaces', async () => {
+  return getIPv4Interfaces();
+});
+
+ipcMain.handle('get-identity', async () => {
+  return { fingerprint: loadIdentity().fingerprint };
+});
+
+// Accept a peer's new key after a trust-on-first-use warning
+ipcMain.handle('trust-peer-key', async (event, peerName, fingerprint) => {
+  loadKnownPeerKeys().set(peerName, fingerprint);
+  return { success: true };
+});
+
+ipcMain.handle('get-peers', async (event, roomId) => {
+  return getPeers(roomId) || [];
+});
+
+// Notifications
+// The renderer decides what deserves one (focus, room setting, do not disturb);
+// clicking it brings the window back on that conversation
+ipcMain.handle('show-notification', async (event, { title, body, roomId, peerId = null }) => {
+  if (!Notification.isSupported()) {
+    return { success: false, error: 'Notifications are not supported here' };
+  }
+
+  const notification = new Notification({ title, body });
+  notification.on('click', () => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      if (mainWindow.isMinimized()) mainWindow.restore();
+      mainWindow.show();
+      mainWindow.focus();
     }
-    udpSocket = null;
-    currentRoom = null;
-    displayName = null;
-    myPeerId = null;
-    roomKey = null;
-    peers.clear();
-    messages = [];
-    processedMessages.clear(); // Clear processed message IDs
-    historyReceived = false; // Reset history received flag
+    sendToRenderer('notification-clicked', roomId, peerId);
+  });
+  notification.on('close', () => notifications.delete(notification));
+  notifications.add(notification);
+  notification.show();
+
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.flashFrame(true); // Taskbar attention on Windows, where there's no badge
   }
-  
   return { success: true };
 });
 
-ipcMain.handle('get-peers', async () => {
-  return Array.from(peers.entries()).map(([peerId, peer]) => ({
-    peerId,
-    displayName: peer.displayName,
-    lastSeen: peer.lastSeen
-  }));
+// Unread count on the dock (macOS) or launcher (Linux)
+ipcMain.handle('set-unread-badge', async (event, count) => {
+  app.setBadgeCount(count);
+  return { success: true };
 });
 
 // App event handlers
-app.whenReady().then(createWindow);
+app.whenReady().then(() => {
+  // Windows only shows notifications for an app with a user model ID
+  app.setAppUserModelId('com.localchat.app');
+  createWindow();
+  if (process.argv.includes('--api')) {
+    startLocalApi();
+  }
+});
+
+ipcMain.handle('download-file', async (event, roomId, manifest) => {
+  const node = getChatNode(roomId);
+  if (!node) {
+    return { success: false, error: 'Not in a room' };
+  }
+
+  node.downloadFile(manifest);
+  return { success: true };
+});
+
+// A thumbnail or text excerpt for a file we have in full
+ipcMain.handle('get-file-preview', async (event, roomId, fileId) => {
+  const node = getChatNode(roomId);
+  const shared = node && node.getSharedFile(fileId);
+  if (!shared) {
+    return { success: false, error: 'File not downloaded yet' };
+  }
+
+  const preview = getFilePreview(shared);
+  return preview ? { success: true, preview } : { success: false, error: 'No preview for this file' };
+});
 
-ipcMain.handle('save-file-dialog', async (event, { fileName, fileData }) => {
+ipcMain.handle('save-file-dialog', async (event, { roomId, fileId, fileName, fileData }) => {
   if (!mainWindow) return { success: false, error: 'Main window not available' };
 
+  const node = getChatNode(roomId);
+  const shared = node && node.getSharedFile(fileId);
+  if (!fileData && !shared) {
+    return { success: false, error: 'File not downloaded yet' };
+  }
+
   try {
     const { filePath } = await dialog.showSaveDialog(mainWindow, {
       defaultPath: fileName
     });
 
     if (filePath) {
-      const buffer = Buffer.from(fileData, 'base64');
+      const buffer = fileData ? Buffer.from(fileData, 'base64') : shared.data;
       fs.writeFileSync(filePath, buffer);
       return { success: true };
     } else {
@@ -588,14 +593,96 @@ ipcMain.handle('save-file-dialog', async (event, { fileName, fileData }) => {
   }
 });
 
-app.on('window-all-closed', () => {
-  if (udpSocket) {
-    try {
-      udpSocket.close();
-    } catch (err) {
-      // Ignore close errors
+// Transcripts
+// Export writes what the room holds right now; files we have in full can be
+// bundled into a zip beside it. Import reads a JSON export back for the
+// renderer to show as archived history, without touching the room's log.
+ipcMain.handle('export-transcript', async (event, roomId, format) => {
+  if (!mainWindow) return { success: false, error: 'Main window not available' };
+
+  const node = getChatNode(roomId);
+  const formatInfo = transcript.FORMATS[format];
+  if (!node) {
+    return { success: false, error: 'Not in a room' };
+  }
+  if (!formatInfo) {
+    return { success: false, error: `Unknown format ${format}` };
+  }
+
+  try {
+    const messages = node.getMessages();
+    const { filePath } = await dialog.showSaveDialog(mainWindow, {
+      defaultPath: `${node.roomName}-${new Date().toISOString().slice(0, 10)}.${formatInfo.extension}`,
+      filters: [{ name: formatInfo.name, extensions: [formatInfo.extension] }]
+    });
+    if (!filePath) {
+      return { success: false, cancelled: true, error: 'Export cancelled' };
+    }
+
+    const held = new Map();
+    messages.filter(message => !message.deletedAt).forEach(message => {
+      (message.files || []).forEach(file => {
+        const shared = node.getSharedFile(file.id);
+        if (shared) held.set(file.id, shared);
+      });
+    });
+
+    let zipPath = null;
+    const attachments = new Map(); // file ID -> name in the zip
+    if (held.size > 0) {
+      const { response } = await dialog.showMessageBox(mainWindow, {
+        type: 'question',
+        buttons: ['Bundle attachments', 'Transcript only'],
+        defaultId: 0,
+        cancelId: 1,
+        message: `Also save ${held.size} attachment${held.size === 1 ? '' : 's'} in a zip next to the transcript?`
+      });
+      if (response === 0) {
+        held.forEach(({ manifest }) => attachments.set(manifest.id, transcript.getAttachmentName(manifest)));
+        zipPath = path.join(path.dirname(filePath), `${path.basename(filePath, path.extname(filePath))}-attachments.zip`);
+        const entries = Array.from(held.values()).map(({ manifest, data }) => ({ name: attachments.get(manifest.id), data }));
+        fs.writeFileSync(zipPath, createZip(entries));
+      }
+    }
+
+    const exported = transcript.createTranscript({
+      roomName: node.roomName,
+      exportedBy: node.displayName,
+      messages,
+      attachments
+    });
+    fs.writeFileSync(filePath, transcript.formatTranscript(exported, format));
+    return { success: true, filePath, zipPath, messageCount: messages.length, attachmentCount: attachments.size };
+  } catch (error) {
+    console.error('Failed to export transcript:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('import-transcript', async () => {
+  if (!mainWindow) return { success: false, error: 'Main window not available' };
+
+  try {
+    const { filePaths } = await dialog.showOpenDialog(mainWindow, {
+      properties: ['openFile'],
+      filters: [{ name: 'Transcript', extensions: ['json'] }]
+    });
+    if (!filePaths || filePaths.length === 0) {
+      return { success: false, cancelled: true, error: 'Import cancelled' };
+    }
+    if (fs.statSync(filePaths[0]).size > MAX_TRANSCRIPT_BYTES) {
+      return { success: false, error: 'File too large for a transcript' };
     }
+
+    return { success: true, transcript: transcript.parseTranscript(fs.readFileSync(filePaths[0], 'utf8')) };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
+});
+
+app.on('window-all-closed', () => {
+  stopLocalApi();
+  closeChatNodes();
   if (process.platform !== 'darwin') {
     app.quit();
   }
@@ -608,11 +695,6 @@ app.on('activate', () => {
 });
 
 app.on('before-quit', () => {
-  if (udpSocket) {
-    try {
-      udpSocket.close();
-    } catch (err) {
-      // Ignore close errors
-    }
-  }
+  stopLocalApi();
+  closeChatNodes();
 });
@@ -0,0 +1,323 @@
+const { shell } = require('electron');
+
+// Markdown
+// A small, safe subset for message text: **bold**, *italic*, `inline code`,
+// fenced code blocks, [links](https://...) and bare URLs, @mentions, and - / 1. lists.
+// Everything is built with createElement and textContent - never innerHTML -
+// so whatever a peer sends can only ever come out as text.
+
+const LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+const INLINE_PATTERN = new RegExp([
+    '`([^`\\n]+)`', // 1: inline code
+    '\\*\\*(.+?)\\*\\*|__(.+?)__', // 2, 3: bold
+    '\\*([^*\\s](?:[^*\\n]*[^*\\s])?)\\*', // 4: italic
+    '(?<![\\w])_([^_\\s](?:[^_\\n]*[^_\\s])?)_(?![\\w])', // 5: italic, but not snake_case
+    '\\[([^\\]\\n]+)\\]\\(([^)\\s]+)\\)', // 6, 7: link
+    '(https?:\\/\\/[^\\s<]*[^\\s<.,:;"\'!?)\\]])', // 8: bare URL
+    '(?<![\\w@])@(\\w+(?:-\\w+)*)' // 9: mention, but not an email address
+].join('|'), 'g');
+
+// Syntax highlighting for fenced blocks: comments, strings, numbers and keywords
+const C_LIKE_KEYWORDS = [
+    'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'do', 'else', 'enum', 'extends',
+    'false', 'final', 'finally', 'for', 'if', 'import', 'interface', 'new', 'null', 'package', 'private',
+    'protected', 'public', 'return', 'static', 'struct', 'switch', 'this', 'throw', 'throws', 'true', 'try',
+    'void', 'while', 'int', 'long', 'char', 'bool', 'boolean', 'double', 'float', 'string', 'var', 'func',
+    'fn', 'let', 'mut', 'impl', 'pub', 'use', 'go', 'defer', 'namespace', 'using', 'auto', 'typedef'
+];
+
+const LANGUAGES = {
+    javascript: {
+        keywords: [
+            'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete', 'do',
+            'else', 'export', 'extends', 'false', 'finally', 'for', 'from', 'function', 'if', 'import', 'in',
+            'instanceof', 'let', 'new', 'null', 'of', 'return', 'static', 'super', 'switch', 'this', 'throw',
+            'true', 'try', 'typeof', 'undefined', 'var', 'void', 'while', 'yield', 'interface', 'type', 'enum',
+            'implements', 'private', 'public', 'readonly'
+        ],
+        comments: ['\\/\\/[^\\n]*', '\\/\\*[\\s\\S]*?\\*\\/'],
+        strings: ['"(?:\\\\.|[^"\\\\\\n])*"', '\'(?:\\\\.|[^\'\\\\\\n])*\'', '`(?:\\\\.|[^`\\\\])*`']
+    },
+    python: {
+        keywords: [
+            'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else',
+            'except', 'False', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'None',
+            'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'self', 'True', 'try', 'while', 'with', 'yield'
+        ],
+        comments: ['#[^\\n]*'],
+        strings: ['"""[\\s\\S]*?"""', '\'\'\'[\\s\\S]*?\'\'\'', '"(?:\\\\.|[^"\\\\\\n])*"', '\'(?:\\\\.|[^\'\\\\\\n])*\'']
+    },
+    shell: {
+        keywords: [
+            'if', 'then', 'else', 'elif', 'fi', 'for', 'in', 'do', 'done', 'while', 'until', 'case', 'esac',
+            'function', 'return', 'export', 'local', 'echo', 'exit', 'sudo', 'cd'
+        ],
+        comments: ['#[^\\n]*'],
+        strings: ['"(?:\\\\.|[^"\\\\])*"', '\'[^\']*\'']
+    },
+    json: {
+        keywords: ['true', 'false', 'null'],
+        comments: [],
+        strings: ['"(?:\\\\.|[^"\\\\\\n])*"']
+    },
+    sql: {
+        keywords: [
+            'select', 'from', 'where', 'and', 'or', 'not', 'insert', 'into', 'values', 'update', 'set', 'delete',
+            'create', 'table', 'drop', 'alter', 'join', 'left', 'right', 'inner', 'outer', 'on', 'group', 'by',
+            'order', 'having', 'limit', 'as', 'null', 'is', 'in', 'distinct', 'count', 'primary', 'key'
+        ],
+        comments: ['--[^\\n]*', '\\/\\*[\\s\\S]*?\\*\\/'],
+        strings: ['\'(?:\'\'|[^\'])*\'', '"(?:\\\\.|[^"\\\\\\n])*"'],
+        ignoreCase: true
+    },
+    clike: {
+        keywords: C_LIKE_KEYWORDS,
+        comments: ['\\/\\/[^\\n]*', '\\/\\*[\\s\\S]*?\\*\\/'],
+        strings: ['"(?:\\\\.|[^"\\\\\\n])*"', '\'(?:\\\\.|[^\'\\\\\\n])*\'']
+    }
+};
+
+const LANGUAGE_ALIASES = {
+    js: 'javascript', javascript: 'javascript', jsx: 'javascript', ts: 'javascript', typescript: 'javascript', tsx: 'javascript',
+    py: 'python', python: 'python',
+    sh: 'shell', bash: 'shell', shell: 'shell', zsh: 'shell', console: 'shell',
+    json: 'json',
+    sql: 'sql',
+    c: 'clike', h: 'clike', cpp: 'clike', 'c++': 'clike', cs: 'clike', csharp: 'clike', java: 'clike',
+    go: 'clike', rust: 'clike', rs: 'clike', kotlin: 'clike', swift: 'clike'
+};
+
+const highlighters = new Map(); // language -> RegExp, built on first use
+
+function getHighlighter(language) {
+    const name = LANGUAGE_ALIASES[(language || '').toLowerCase()];
+    if (!name) return null;
+
+    if (!highlighters.has(name)) {
+        const { keywords, comments, strings, ignoreCase } = LANGUAGES[name];
+        const groups = [
+            comments.length > 0 ? comments.join('|') : '(?!)',
+            strings.join('|'),
+            '\\b\\d+(?:\\.\\d+)?\\b',
+            `\\b(?:${keywords.join('|')})\\b`
+        ];
+        highlighters.set(name, new RegExp(groups.map(group => `(${group})`).join('|'), ignoreCase ? 'gi' : 'g'));
+    }
+    return highlighters.get(name);
+}
+
+function highlightCode(code, language) {
+    const fragment = document.createDocumentFragment();
+    const pattern = getHighlighter(language);
+    if (!pattern) {
+        fragment.appendChild(document.createTextNode(code));
+        return fragment;
+    }
+
+    const tokenClasses = ['token-comment', 'token-string', 'token-number', 'token-keyword'];
+    let lastIndex = 0;
+    for (const match of code.matchAll(pattern)) {
+        if (match.index > lastIndex) {
+            fragment.appendChild(document.createTextNode(code.slice(lastIndex, match.index)));
+        }
+        const token = document.createElement('span');
+        token.className = tokenClasses[match.slice(1).findIndex(group => group !== undefined)];
+        token.textContent = match[0];
+        fragment.appendChild(token);
+        lastIndex = match.index + match[0].length;
+    }
+    if (lastIndex < code.length) {
+        fragment.appendChild(document.createTextNode(code.slice(lastIndex)));
+    }
+    return fragment;
+}
+
+// Blocks
+
+function parseBlocks(text) {
+    const blocks = [];
+    const lines = text.split('\n');
+    let textLines = [];
+
+    const flushText = () => {
+        if (textLines.length > 0) {
+            blocks.push({ type: 'text', text: textLines.join('\n') });
+            textLines = [];
+        }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        const fence = line.match(/^\s*```\s*([\w+#-]*)\s*$/);
+        if (fence) {
+            const codeLines = [];
+            let j = i + 1;
+            while (j < lines.length && !/^\s*```\s*$/.test(lines[j])) {
+                codeLines.push(lines[j]);
+                j++;
+            }
+            // An unclosed fence is just text
+            if (j < lines.length) {
+                flushText();
+                blocks.push({ type: 'code', language: fence[1], code: codeLines.join('\n') });
+                i = j;
+                continue;
+            }
+        }
+
+        const listItem = line.match(/^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/);
+        if (listItem) {
+            const ordered = Boolean(listItem[2]);
+            const previous = blocks[blocks.length - 1];
+            if (textLines.length === 0 && previous && previous.type === 'list' && previous.ordered === ordered) {
+                previous.items.push(listItem[3]);
+            } else {
+                flushText();
+                blocks.push({ type: 'list', ordered, start: ordered ? Number(listItem[2]) : 1, items: [listItem[3]] });
+            }
+            continue;
+        }
+
+        textLines.push(line);
+    }
+
+    flushText();
+    return blocks;
+}
+
+function renderCodeBlock(block) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'md-code-block';
+
+    const copyBtn = document.createElement('button');
+    copyBtn.className = 'md-copy-btn';
+    copyBtn.textContent = 'Copy';
+    copyBtn.addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(block.code);
+            copyBtn.textContent = 'Copied';
+        } catch (error) {
+            copyBtn.textContent = 'Copy failed';
+        }
+        setTimeout(() => { copyBtn.textContent = 'Copy'; }, 1500);
+    });
+
+    const pre = document.createElement('pre');
+    const code = document.createElement('code');
+    if (block.language) {
+        code.dataset.language = block.language;
+    }
+    code.appendChild(highlightCode(block.code, block.language));
+    pre.appendChild(code);
+
+    wrapper.appendChild(copyBtn);
+    wrapper.appendChild(pre);
+    return wrapper;
+}
+
+function renderList(block) {
+    const list = document.createElement(block.ordered ? 'ol' : 'ul');
+    list.className = 'md-list';
+    if (block.ordered && block.start !== 1) {
+        list.start = block.start;
+    }
+    block.items.forEach(item => {
+        const li = document.createElement('li');
+        li.appendChild(renderInline(item));
+        list.appendChild(li);
+    });
+    return list;
+}
+
+// Inline
+
+function renderInline(text) {
+    const fragment = document.createDocumentFragment();
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(INLINE_PATTERN)) {
+        if (match.index > lastIndex) {
+            fragment.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+        }
+        fragment.appendChild(renderInlineMatch(match));
+        lastIndex = match.index + match[0].length;
+    }
+    if (lastIndex < text.length) {
+        fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+    }
+    return fragment;
+}
+
+function renderInlineMatch(match) {
+    const [whole, code, bold, boldAlt, italic, italicAlt, linkText, linkUrl, bareUrl, mention] = match;
+
+    if (code !== undefined) {
+        const element = document.createElement('code');
+        element.className = 'md-code-inline';
+        element.textContent = code;
+        return element;
+    }
+    if (bold !== undefined || boldAlt !== undefined) {
+        const element = document.createElement('strong');
+        element.appendChild(renderInline(bold !== undefined ? bold : boldAlt));
+        return element;
+    }
+    if (italic !== undefined || italicAlt !== undefined) {
+        const element = document.createElement('em');
+        element.appendChild(renderInline(italic !== undefined ? italic : italicAlt));
+        return element;
+    }
+    if (linkUrl !== undefined) {
+        return createLink(linkUrl, linkText) || document.createTextNode(whole);
+    }
+    if (mention !== undefined) {
+        const element = document.createElement('span');
+        element.className = 'md-mention';
+        element.dataset.mention = mention.toLowerCase();
+        element.textContent = whole;
+        return element;
+    }
+    return createLink(bareUrl, bareUrl) || document.createTextNode(whole);
+}
+
+// Links open in the system browser, and only for web and mail addresses
+function createLink(href, text) {
+    let url;
+    try {
+        url = new URL(href);
+    } catch (error) {
+        return null;
+    }
+    if (!LINK_PROTOCOLS.includes(url.protocol)) {
+        return null;
+    }
+
+    const link = document.createElement('a');
+    link.className = 'md-link';
+    link.href = url.href;
+    link.title = url.href;
+    link.textContent = text;
+    link.addEventListener('click', (e) => {
+        e.preventDefault();
+        shell.openExternal(url.href);
+    });
+    return link;
+}
+
+function renderMarkdown(text) {
+    const fragment = document.createDocumentFragment();
+    parseBlocks(text).forEach(block => {
+        if (block.type === 'code') {
+            fragment.appendChild(renderCodeBlock(block));
+        } else if (block.type === 'list') {
+            fragment.appendChild(renderList(block));
+        } else {
+            fragment.appendChild(renderInline(block.text));
+        }
+    });
+    return fragment;
+}
+
+module.exports = { renderMarkdown };
@@ -1,28 +1,79 @@
 const { ipcRenderer } = require('electron');
+const { renderMarkdown } = require('./markdown');
+const { formatName, MAX_FILE_SIZE } = require('./core/protocol');
 
 // DOM elements
 const setupScreen = document.getElementById('setup-screen');
 const chatScreen = document.getElementById('chat-screen');
 const roomInput = document.getElementById('room-input');
+const passphraseInput = document.getElementById('passphrase-input');
 const displayNameInput = document.getElementById('display-name-input');
+const seedPeersInput = document.getElementById('seed-peers-input');
+const discoveryModeSelect = document.getElementById('discovery-mode-select');
+const multicastOptions = document.getElementById('multicast-options');
+const multicastTtlInput = document.getElementById('multicast-ttl-input');
+const multicastInterfaceSelect = document.getElementById('multicast-interface-select');
+const clockSkewInput = document.getElementById('clock-skew-input');
+const persistHistoryCheckbox = document.getElementById('persist-history-checkbox');
+const historyOptions = document.getElementById('history-options');
+const historyPassphraseInput = document.getElementById('history-passphrase-input');
+const historyRetentionInput = document.getElementById('history-retention-input');
 const joinBtn = document.getElementById('join-btn');
+const cancelJoinBtn = document.getElementById('cancel-join-btn');
 const setupStatus = document.getElementById('setup-status');
 const currentRoomSpan = document.getElementById('current-room');
 const peerCountSpan = document.getElementById('peer-count');
 const leaveBtn = document.getElementById('leave-btn');
-const chatMessages = document.getElementById('chat-messages');
+const rekeyBtn = document.getElementById('rekey-btn');
+const bridgeBtn = document.getElementById('bridge-btn');
+const notifySelect = document.getElementById('notify-select');
+const transcriptSelect = document.getElementById('transcript-select');
+const dndBtn = document.getElementById('dnd-btn');
+const chatInputContainer = document.getElementById('chat-input-container');
+const roomList = document.getElementById('room-list');
+const addRoomBtn = document.getElementById('add-room-btn');
+const peerList = document.getElementById('peer-list');
 const messageInput = document.getElementById('message-input');
 const sendBtn = document.getElementById('send-btn');
 const filePickerBtn = document.getElementById('file-picker-btn');
 const fileInput = document.getElementById('file-input');
+const typingIndicator = document.getElementById('typing-indicator');
+const replyBar = document.getElementById('reply-bar');
+const replyBarText = document.getElementById('reply-bar-text');
+const replyCancelBtn = document.getElementById('reply-cancel-btn');
+const lightbox = document.getElementById('lightbox');
+const lightboxImage = document.getElementById('lightbox-image');
 
 // Application state
-let currentDisplayName = '';
-let isInRoom = false;
+// A conversation is a room or a DM thread inside one; both have their own
+// message pane, notices, unread count and composer draft
+let rooms = new Map(); // roomId -> { roomId, peerId: null, name, displayName, messagesEl, systemMessages, peers, unread, draft, replyTo, notify, typing, readMarkers, bridge, archives, threads }
+let activeConversation = null; // The room or thread on screen
+let identityFingerprint = null;
 let attachedFiles = new Map(); // fileId -> { name, size, data }
+let deliveryStatuses = new Map(); // messageId -> { status, delivered, total }
+let fileTransfers = new Map(); // fileId -> { status, received, total }
+let filePreviews = new Map(); // fileId -> { kind: 'image', url } | { kind: 'text', text, truncated }
+let pendingPreviews = new Set(); // fileIds with a preview request in flight
+let dragDepth = 0; // dragenter/dragleave pairs, which also fire for every child crossed
+let peerRefreshTimer = null;
+let doNotDisturb = localStorage.getItem('doNotDisturb') === 'true';
+let badgeCount = 0;
+
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '🎉', '😮', '👀', '✅'];
+const PREVIEW_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.txt', '.log', '.json'];
+const MENTION_PATTERN = /(?<![\w@])@(\w+(?:-\w+)*)/g; // Same as markdown.js
 
 // Initialize the application
 function init() {
+    // Seed peers are per network rather than per room, so remember them
+    seedPeersInput.value = localStorage.getItem('seedPeers') || '';
+    discoveryModeSelect.value = localStorage.getItem('discoveryMode') || 'broadcast';
+    multicastTtlInput.value = localStorage.getItem('multicastTTL') || '1';
+    clockSkewInput.value = localStorage.getItem('maxClockSkewSeconds') || '120';
+    loadNetworkInterfaces();
+    updateMulticastOptions();
+    renderDoNotDisturb();
     setupEventListeners();
     updateJoinButtonState();
     roomInput.focus();
@@ -31,12 +82,38 @@ function init() {
 function setupEventListeners() {
     // Setup screen events
     roomInput.addEventListener('input', updateJoinButtonState);
+    roomInput.addEventListener('input', loadHistorySetting);
+    persistHistoryCheckbox.addEventListener('change', updateHistoryOptions);
     displayNameInput.addEventListener('input', updateJoinButtonState);
     joinBtn.addEventListener('click', joinRoom);
+    cancelJoinBtn.addEventListener('click', showChatScreen);
+    discoveryModeSelect.addEventListener('change', updateMulticastOptions);
     
     // Chat screen events
+    addRoomBtn.addEventListener('click', showSetupScreen);
     leaveBtn.addEventListener('click', leaveRoom);
+    rekeyBtn.addEventListener('click', rekeyRoom);
+    bridgeBtn.addEventListener('click', toggleBridge);
+    notifySelect.addEventListener('change', updateNotifySetting);
+    transcriptSelect.addEventListener('change', handleTranscriptAction);
+    dndBtn.addEventListener('click', toggleDoNotDisturb);
     sendBtn.addEventListener('click', sendMessage);
+    replyCancelBtn.addEventListener('click', cancelReply);
+    lightbox.addEventListener('click', closeLightbox);
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            closeLightbox();
+        }
+    });
+
+    // Whatever arrived in the open conversation while away has now been seen
+    window.addEventListener('focus', () => {
+        if (activeConversation && activeConversation.unread > 0) {
+            activeConversation.unread = 0;
+            renderRoomList();
+        }
+        markActiveRead();
+    });
     
     // File picker events
     filePickerBtn.addEventListener('click', () => fileInput.click());
@@ -44,10 +121,22 @@ function setupEventListeners() {
     
     // Handle contenteditable input
     messageInput.addEventListener('input', handleInputChange);
+    messageInput.addEventListener('input', sendTyping);
+    messageInput.addEventListener('paste', handlePaste);
+
+    // Files dropped anywhere on the chat join the draft; elsewhere they'd
+    // make the window navigate to them
+    chatScreen.addEventListener('dragenter', handleDragEnter);
+    chatScreen.addEventListener('dragleave', handleDragLeave);
+    chatScreen.addEventListener('drop', handleDrop);
+    document.addEventListener('dragover', (e) => e.preventDefault());
+    document.addEventListener('drop', (e) => e.preventDefault());
     
     // Handle key presses for Discord-like behavior
     messageInput.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter') {
+        if (e.key === 'Escape') {
+            cancelReply();
+        } else if (e.key === 'Enter') {
             if (e.shiftKey) {
                 // Shift+Enter: Allow new line (default behavior)
                 return;
@@ -59,17 +148,144 @@ function setupEventListeners() {
         }
     });
 
-    // IPC event listeners
-    ipcRenderer.on('new-message', (event, message) => {
-        addMessageToUI(message.sender, message, message.timestamp, false);
+    // IPC event listeners - room events carry the ID of the room they belong to
+    ipcRenderer.on('new-message', (event, roomId, message) => {
+        const room = rooms.get(roomId);
+        if (!room) return;
+
+        addMessageToUI(room, message.sender, message, message.timestamp, false);
+        if (isUnseen(room)) {
+            room.unread++;
+            renderRoomList();
+        } else {
+            markActiveRead();
+        }
+        notifyMessage(room, message, mentionsMe(room, message));
     });
 
-    ipcRenderer.on('history-received', (event, messages) => {
-        // Clear existing messages and add history
-        chatMessages.innerHTML = '';
-        messages.forEach(message => {
-            addMessageToUI(message.sender, message, message.timestamp, message.sender === currentDisplayName);
-        });
+    // Sent on our behalf through the local API
+    ipcRenderer.on('message-sent', (event, roomId, { message, status }) => {
+        const room = rooms.get(roomId);
+        if (!room) return;
+
+        if (!deliveryStatuses.has(message.id)) {
+            deliveryStatuses.set(message.id, { status });
+        }
+        addMessageToUI(room, room.displayName, message, message.timestamp, true);
+    });
+
+    ipcRenderer.on('new-direct-message', (event, roomId, { peerId, message }) => {
+        const room = rooms.get(roomId);
+        if (!room) return;
+
+        const thread = getDirectThread(room, peerId, message.sender);
+        addMessageToUI(thread, message.sender, message, message.timestamp, false);
+        if (isUnseen(thread)) {
+            thread.unread++;
+        }
+        renderRoomList();
+        // Direct messages are addressed to us, so they count as mentions
+        notifyMessage(thread, message, true);
+    });
+
+    ipcRenderer.on('notification-clicked', (event, roomId, peerId) => {
+        const room = rooms.get(roomId);
+        if (!room) return;
+
+        const conversation = peerId ? room.threads.get(peerId) : room;
+        switchConversation(conversation || room);
+        showChatScreen();
+    });
+
+    ipcRenderer.on('history-received', (event, roomId, messages) => {
+        const room = rooms.get(roomId);
+        if (room) {
+            renderHistory(room, messages);
+        }
+    });
+
+    ipcRenderer.on('message-updated', (event, roomId, message) => {
+        const room = rooms.get(roomId);
+        if (room) {
+            updateMessageInUI(room, message);
+        }
+    });
+
+    ipcRenderer.on('typing-changed', (event, roomId, typing) => {
+        const room = rooms.get(roomId);
+        if (!room) return;
+
+        room.typing = typing;
+        if (room === getActiveRoom()) {
+            renderTypingIndicator();
+        }
+    });
+
+    ipcRenderer.on('read-markers', (event, roomId, markers) => {
+        const room = rooms.get(roomId);
+        if (!room) return;
+
+        room.readMarkers = markers;
+        renderReadMarkers(room);
+    });
+
+    ipcRenderer.on('bridge-clients', (event, roomId, count) => {
+        const room = rooms.get(roomId);
+        if (!room || !room.bridge) return;
+
+        room.bridge.clients = count;
+        if (room === getActiveRoom()) {
+            renderBridgeButton();
+        }
+    });
+
+    ipcRenderer.on('peers-updated', (event, roomId, peers) => {
+        const room = rooms.get(roomId);
+        if (!room) return;
+
+        room.peers = peers;
+        if (room === getActiveRoom()) {
+            renderPeerList();
+        }
+    });
+
+    ipcRenderer.on('peer-event', (event, roomId, { event: kind, displayName, timestamp }) => {
+        const room = rooms.get(roomId);
+        const texts = {
+            joined: `${displayName} joined the room`,
+            left: `${displayName} left the room`,
+            timeout: `${displayName} timed out`
+        };
+        if (room && texts[kind]) {
+            addSystemMessage(room, texts[kind], timestamp);
+        }
+    });
+
+    ipcRenderer.on('identity-warning', (event, roomId, warning) => {
+        const room = rooms.get(roomId);
+        if (!room) return;
+
+        addSystemMessage(
+            room,
+            `WARNING: ${warning.displayName} is using a different identity key (${warning.fingerprint}, ` +
+            `previously ${warning.knownFingerprint}). This may be someone impersonating them.`,
+            warning.timestamp,
+            warning
+        );
+    });
+
+    // Message and file IDs are unique across rooms
+    ipcRenderer.on('message-status', (event, roomId, update) => {
+        deliveryStatuses.set(update.messageId, update);
+        updateMessageStatus(update.messageId);
+    });
+
+    ipcRenderer.on('file-transfer-progress', (event, roomId, progress) => {
+        fileTransfers.set(progress.fileId, progress);
+        updateFileElements(progress.fileId);
+        if (progress.status === 'complete') {
+            loadFilePreview(roomId, progress.fileId);
+        }
     });
 
     ipcRenderer.on('error', (event, errorMessage) => {
@@ -80,20 +296,57 @@ function setupEventListeners() {
     });
 }
 
+// Fill the multicast interface picker
+async function loadNetworkInterfaces() {
+    try {
+        const interfaces = await ipcRenderer.invoke('get-network-interfaces');
+        const saved = localStorage.getItem('multicastInterface') || '';
+        interfaces.forEach(iface => {
+            const option = document.createElement('option');
+            option.value = iface.address;
+            option.textContent = `${iface.name} (${iface.address})`;
+            multicastInterfaceSelect.appendChild(option);
+        });
+        if (interfaces.some(iface => iface.address === saved)) {
+            multicastInterfaceSelect.value = saved;
+        }
+    } catch (error) {
+        console.error('Error listing network interfaces:', error);
+    }
+}
+
+// TTL and interface only matter when multicast is in use
+function updateMulticastOptions() {
+    multicastOptions.classList.toggle('visible', discoveryModeSelect.value !== 'broadcast');
+}
+
+// Saving history is a per-room choice; the local passphrase is never stored
+function loadHistorySetting() {
+    const saved = JSON.parse(localStorage.getItem('historyRooms') || '{}')[formatName(roomInput.value)];
+    persistHistoryCheckbox.checked = Boolean(saved);
+    historyRetentionInput.value = saved ? String(saved.retentionDays) : '7';
+    updateHistoryOptions();
+}
+
+function saveHistorySetting(roomName, options) {
+    const historyRooms = JSON.parse(localStorage.getItem('historyRooms') || '{}');
+    if (options.persistHistory) {
+        historyRooms[roomName] = { retentionDays: options.historyRetentionDays };
+    } else {
+        delete historyRooms[roomName];
+    }
+    localStorage.setItem('historyRooms', JSON.stringify(historyRooms));
+}
+
+function updateHistoryOptions() {
+    historyOptions.classList.toggle('visible', persistHistoryCheckbox.checked);
+}
+
 function updateJoinButtonState() {
     const roomName = roomInput.value.trim();
     joinBtn.disabled = !roomName;
 }
 
-// Format name function: convert spaces to dashes, capitalize first letter, lowercase rest
-function formatName(name) {
-    if (!name) return '';
-    return name.trim()
-        .replace(/\s+/g, '-') // Replace spaces with dashes
-        .toLowerCase() // Make everything lowercase
-        .replace(/^./, char => char.toUpperCase()); // Capitalize first character
-}
-
 // Auto-resize textarea function
 function autoResizeTextarea() {
     // Not needed for contenteditable div
@@ -125,27 +378,113 @@ function readFileAsBase64(file) {
 
 // Handle file selection
 async function handleFileSelection(event) {
-    const files = Array.from(event.target.files);
+    await attachFiles(Array.from(event.target.files));
     
+    // Clear the file input
+    fileInput.value = '';
+}
+
+// Turn files (picked, dropped or pasted) into chips at the caret
+async function attachFiles(files, nameFor = file => file.name) {
+    if (!activeConversation || files.length === 0) return;
+
+    // Attachments travel under the room key, so DMs are text only
+    if (activeConversation.peerId) {
+        addSystemMessage(activeConversation, 'Files can\'t be sent in direct messages', Date.now());
+        return;
+    }
+
     for (const file of files) {
         const fileId = generateFileId();
+        const name = nameFor(file);
+        if (file.size > MAX_FILE_SIZE) {
+            addSystemMessage(activeConversation, `${name} is larger than ${formatFileSize(MAX_FILE_SIZE)} and can't be attached`, Date.now());
+            continue;
+        }
         
         try {
             const base64Data = await readFileAsBase64(file);
             attachedFiles.set(fileId, {
-                name: file.name,
+                name,
                 size: file.size,
                 data: base64Data
             });
-            createFileElement(fileId, file.name, formatFileSize(file.size));
+            createFileElement(fileId, name, formatFileSize(file.size));
         } catch (error) {
             console.error("Error reading file:", error);
             // Optionally, show an error to the user
         }
     }
-    
-    // Clear the file input
-    fileInput.value = '';
+}
+
+// Clipboard images arrive as "image.png"; give screenshots a name worth keeping
+function getPastedFileName(file) {
+    if (file.name && file.name !== 'image.png') {
+        return file.name;
+    }
+    const stamp = new Date().toISOString().slice(0, 19).replace('T', ' ').replace(/:/g, '.');
+    const extension = (file.type.split('/')[1] || 'png').replace('jpeg', 'jpg');
+    return `Screenshot ${stamp}.${extension}`;
+}
+
+// Pasted files become attachments and anything else plain text, so rich
+// HTML from a web page or editor never lands in the composer
+function handlePaste(e) {
+    e.preventDefault();
+
+    const files = Array.from(e.clipboardData.files);
+    if (files.length > 0) {
+        attachFiles(files, getPastedFileName);
+        return;
+    }
+
+    const text = e.clipboardData.getData('text/plain');
+    if (text) {
+        insertAtCursor(document.createTextNode(text));
+        handleInputChange();
+    }
+}
+
+function handleDragEnter(e) {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    dragDepth++;
+    chatScreen.classList.add('drag-over');
+}
+
+function handleDragLeave(e) {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (dragDepth === 0) {
+        chatScreen.classList.remove('drag-over');
+    }
+}
+
+function handleDrop(e) {
+    dragDepth = 0;
+    chatScreen.classList.remove('drag-over');
+
+    const files = Array.from(e.dataTransfer.files);
+    const intoInput = messageInput.contains(e.target);
+    if (files.length === 0 && !intoInput) return;
+    e.preventDefault();
+
+    // Drop where the pointer is when it's over the composer, otherwise at the caret
+    const range = intoInput && document.caretRangeFromPoint(e.clientX, e.clientY);
+    if (range) {
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+
+    if (files.length > 0) {
+        attachFiles(files);
+    } else {
+        // Dragged text, like pasted text, arrives without its markup
+        const text = e.dataTransfer.getData('text/plain');
+        if (text) {
+            insertAtCursor(document.createTextNode(text));
+        }
+    }
 }
 
 // Generate unique file ID
@@ -202,7 +541,7 @@ function createFileElement(fileId, fileName, fileSize) {
 // Insert element at cursor position
 function insertAtCursor(element) {
     const selection = window.getSelection();
-    if (selection.rangeCount > 0) {
+    if (selection.rangeCount > 0 && messageInput.contains(selection.getRangeAt(0).commonAncestorContainer)) {
         const range = selection.getRangeAt(0);
         range.deleteContents();
         range.insertNode(element);
@@ -245,29 +584,52 @@ async function joinRoom() {
         return;
     }
 
+    const seedPeers = seedPeersInput.value.split(',').map(seed => seed.trim()).filter(Boolean);
+    const joinOptions = {
+        passphrase: passphraseInput.value,
+        seedPeers,
+        discoveryMode: discoveryModeSelect.value,
+        multicastTTL: Number(multicastTtlInput.value),
+        multicastInterface: multicastInterfaceSelect.value,
+        maxClockSkewSeconds: Number(clockSkewInput.value),
+        persistHistory: persistHistoryCheckbox.checked,
+        historyPassphrase: historyPassphraseInput.value,
+        historyRetentionDays: Number(historyRetentionInput.value)
+    };
+
     joinBtn.disabled = true;
     showStatus('Connecting...', 'info');
 
     try {
-        const result = await ipcRenderer.invoke('join-room', room, name);
+        const result = await ipcRenderer.invoke('join-room', room, name, joinOptions);
         
         if (result.success) {
-            currentDisplayName = name || 'Anonymous';
-            isInRoom = true;
-            
-            // Show room name and user name together with styling
-            currentRoomSpan.innerHTML = `${room} <span style="color: #888;">•</span> <span style="color: #ff4444;">${currentDisplayName}</span>`;
+            localStorage.setItem('seedPeers', seedPeers.join(', '));
+            localStorage.setItem('discoveryMode', joinOptions.discoveryMode);
+            localStorage.setItem('multicastTTL', String(joinOptions.multicastTTL));
+            localStorage.setItem('multicastInterface', joinOptions.multicastInterface);
+            localStorage.setItem('maxClockSkewSeconds', String(joinOptions.maxClockSkewSeconds));
+            saveHistorySetting(room, joinOptions);
+            if (!identityFingerprint) {
+                identityFingerprint = (await ipcRenderer.invoke('get-identity')).fingerprint;
+            }
             
-            // Switch to chat screen
-            setupScreen.style.display = 'none';
-            chatScreen.style.display = 'flex';
+            addRoom(result.roomId, room, name || 'Anonymous');
+            if (result.messages.length > 0) {
+                renderHistory(rooms.get(result.roomId), result.messages);
+            }
             
-            // Clear any existing messages
-            chatMessages.innerHTML = '';
+            // Ready the form for the next room
+            roomInput.value = '';
+            passphraseInput.value = '';
+            historyPassphraseInput.value = '';
+            loadHistorySetting();
+            setupStatus.textContent = '';
+            updateJoinButtonState();
             
-            // Update placeholder with room name
-            messageInput.setAttribute('data-placeholder', `Message ${room}`);
-            messageInput.focus();
+            switchConversation(rooms.get(result.roomId));
+            showChatScreen();
+            startPeerRefresh();
             
         } else {
             showStatus(`Failed to join room: ${result.error}`, 'error');
@@ -281,44 +643,192 @@ async function joinRoom() {
 }
 
 async function leaveRoom() {
+    const room = getActiveRoom();
+    if (!room) return;
+
     try {
-        await ipcRenderer.invoke('leave-room');
+        await ipcRenderer.invoke('leave-room', room.roomId);
         
-        // Update state
-        isInRoom = false;
-        currentDisplayName = '';
+        // Forget the room, its DM threads and the draft
+        rooms.delete(room.roomId);
+        room.messagesEl.remove();
+        room.threads.forEach(thread => thread.messagesEl.remove());
+        releaseFilePreviews();
+        activeConversation = null;
+        messageInput.innerHTML = '';
         
-        // Switch back to setup screen
-        chatScreen.style.display = 'none';
-        setupScreen.style.display = 'flex';
+        if (rooms.size > 0) {
+            switchConversation(rooms.values().next().value);
+            return;
+        }
+        
+        stopPeerRefresh();
+        renderRoomList();
         
         // Reset form
         roomInput.value = '';
+        passphraseInput.value = '';
         displayNameInput.value = '';
+        loadHistorySetting();
         updateJoinButtonState();
         
         // Clear status
         setupStatus.textContent = '';
         setupStatus.className = 'status';
         
-        // Focus room input
-        roomInput.focus();
+        // Switch back to setup screen
+        showSetupScreen();
         
     } catch (error) {
         console.error('Error leaving room:', error);
     }
 }
 
+async function rekeyRoom() {
+    const room = getActiveRoom();
+    if (!room) return;
+
+    try {
+        const result = await ipcRenderer.invoke('rekey-room', room.roomId);
+        if (result.success) {
+            addSystemMessage(room, `Room key replaced (epoch ${result.epoch})`, Date.now());
+        }
+    } catch (error) {
+        console.error('Error rekeying room:', error);
+    }
+}
+
+// Let browsers on the network into the room through this machine
+async function toggleBridge() {
+    const room = getActiveRoom();
+    if (!room) return;
+
+    bridgeBtn.disabled = true;
+    try {
+        if (room.bridge) {
+            await ipcRenderer.invoke('stop-bridge', room.roomId);
+            room.bridge = null;
+            addSystemMessage(room, 'Browser bridge closed; browser users have left', Date.now());
+        } else {
+            const result = await ipcRenderer.invoke('start-bridge', room.roomId);
+            if (result.success) {
+                room.bridge = { urls: result.urls, accessCode: result.accessCode, clients: 0 };
+                const links = result.urls.length > 0 ? result.urls.join('  ') : `port ${result.port}`;
+                const reach = result.secure ? '' : ' Only browsers on this computer can reach it; start the app with --bridge-cert and --bridge-key to open it to the network over HTTPS.';
+                addSystemMessage(room, `Browser bridge open - anyone with the link can join as a peer: ${links} (access code ${result.accessCode}).${reach}`, Date.now());
+            } else {
+                addSystemMessage(room, `Could not open the browser bridge: ${result.error}`, Date.now());
+            }
+        }
+    } catch (error) {
+        console.error('Error toggling bridge:', error);
+    }
+    bridgeBtn.disabled = false;
+    if (room === getActiveRoom()) {
+        renderBridgeButton();
+    }
+}
+
+function renderBridgeButton() {
+    const room = getActiveRoom();
+    const bridge = room && room.bridge;
+    bridgeBtn.classList.toggle('active', Boolean(bridge));
+    bridgeBtn.textContent = bridge && bridge.clients > 0 ? `Bridge (${bridge.clients})` : 'Bridge';
+    bridgeBtn.title = bridge
+        ? `Browsers can join at ${bridge.urls.join(', ')} - click to close the bridge`
+        : 'Let browsers on the network join this room through this computer';
+}
+
+// Transcripts
+// The header menu exports the room to a file, or imports a JSON export as archived history
+async function handleTranscriptAction() {
+    const room = getActiveRoom();
+    const action = transcriptSelect.value;
+    transcriptSelect.value = '';
+    if (!room || !action) return;
+
+    transcriptSelect.disabled = true;
+    try {
+        if (action === 'import') {
+            await importTranscript(room);
+        } else {
+            await exportTranscript(room, action);
+        }
+    } catch (error) {
+        console.error('Error with transcript:', error);
+    }
+    transcriptSelect.disabled = false;
+}
+
+async function exportTranscript(room, format) {
+    const result = await ipcRenderer.invoke('export-transcript', room.roomId, format);
+    if (result.success) {
+        const bundled = result.zipPath ? ` and ${result.attachmentCount} attachment${result.attachmentCount === 1 ? '' : 's'} to ${result.zipPath}` : '';
+        addSystemMessage(room, `Exported ${result.messageCount} message${result.messageCount === 1 ? '' : 's'} to ${result.filePath}${bundled}`, Date.now());
+    } else if (!result.cancelled) {
+        addSystemMessage(room, `Could not export the transcript: ${result.error}`, Date.now());
+    }
+}
+
+async function importTranscript(room) {
+    const result = await ipcRenderer.invoke('import-transcript');
+    if (result.cancelled) return;
+    if (!result.success) {
+        addSystemMessage(room, `Could not import the transcript: ${result.error}`, Date.now());
+        return;
+    }
+
+    room.archives.push(result.transcript);
+    renderArchive(room, result.transcript);
+    if (activeConversation !== room) {
+        switchConversation(room);
+    }
+    room.messagesEl.scrollTop = 0;
+}
+
+// Archives sit above the live messages, oldest import first. Their messages
+// are marked archived so they get no actions and can't be mistaken for the room's own.
+function renderArchive(room, archive) {
+    const archiveEl = document.createElement('div');
+    archiveEl.className = 'message-archive';
+
+    const header = document.createElement('div');
+    header.className = 'message system archive-header';
+    const count = archive.messages.length;
+    header.textContent = `Archived ${archive.roomName}, exported ${new Date(archive.exportedAt).toLocaleString()} by ${archive.exportedBy} (${count} message${count === 1 ? '' : 's'}, read-only)`;
+    archiveEl.appendChild(header);
+
+    archive.messages.forEach(message => {
+        const payload = { ...message, archived: true };
+        archiveEl.appendChild(createMessageElement(room, message.sender, payload, message.timestamp, false));
+    });
+
+    const after = Array.from(room.messagesEl.children).find(child => !child.classList.contains('message-archive'));
+    room.messagesEl.insertBefore(archiveEl, after || null);
+}
+
 function getMessagePayload() {
     const structure = [];
     const filesToSend = new Map();
 
+    // Line breaks join the text around them, so a code block stays one piece
+    const addText = (text) => {
+        const last = structure[structure.length - 1];
+        if (last && last.type === 'text') {
+            last.content += text;
+        } else {
+            structure.push({ type: 'text', content: text });
+        }
+    };
+
     for (const node of messageInput.childNodes) {
         if (node.nodeType === Node.TEXT_NODE) {
             const text = node.textContent;
             if (text) {
-                structure.push({ type: 'text', content: text });
+                addText(text);
             }
+        } else if (node.nodeName === 'BR') {
+            addText('\n');
         } else if (node.nodeType === Node.ELEMENT_NODE && node.classList.contains('file-element')) {
             const fileId = node.dataset.fileId;
             if (fileId && attachedFiles.has(fileId)) {
@@ -351,24 +861,41 @@ function getMessagePayload() {
 }
 
 async function sendMessage() {
+    const conversation = activeConversation;
     const payload = getMessagePayload();
 
     if (payload.structure.length === 0) return;
-    if (!isInRoom) return;
+    if (!conversation) return;
+    if (conversation.replyTo) {
+        payload.replyTo = conversation.replyTo.id;
+    }
 
     const tempContent = messageInput.innerHTML;
     const tempAttachedFiles = new Map(attachedFiles);
 
+    // Drafts in other rooms keep their attachments
     messageInput.innerHTML = '';
-    attachedFiles.clear();
+    payload.files.forEach(file => attachedFiles.delete(file.id));
 
     try {
         sendBtn.disabled = true;
-        const result = await ipcRenderer.invoke('send-message', payload);
+        const result = conversation.peerId
+            ? await ipcRenderer.invoke('send-direct-message', conversation.roomId, conversation.peerId, payload)
+            : await ipcRenderer.invoke('send-message', conversation.roomId, payload);
 
         if (result.success) {
-            addMessageToUI(currentDisplayName, payload, Date.now(), true);
+            if (!deliveryStatuses.has(result.message.id)) {
+                deliveryStatuses.set(result.message.id, { status: result.status });
+            }
+            addMessageToUI(conversation, conversation.displayName, result.message, result.message.timestamp, true);
+            if (conversation.replyTo && conversation.replyTo.id === payload.replyTo) {
+                conversation.replyTo = null;
+                renderReplyBar();
+            }
         } else {
+            if (result.error) {
+                addSystemMessage(conversation, `Not sent: ${result.error}`, Date.now());
+            }
             messageInput.innerHTML = tempContent;
             attachedFiles = tempAttachedFiles;
         }
@@ -382,25 +909,74 @@ async function sendMessage() {
     }
 }
 
-function addMessageToUI(sender, payload, timestamp, isOwn) {
-    const messageDiv = document.createElement('div');
-    messageDiv.className = `message ${isOwn ? 'own' : ''}`;
+function addMessageToUI(conversation, sender, payload, timestamp, isOwn) {
+    conversation.messagesEl.appendChild(createMessageElement(conversation, sender, payload, timestamp, isOwn));
+    conversation.messagesEl.scrollTop = conversation.messagesEl.scrollHeight;
+
+    if (isOwn && payload.id) {
+        updateMessageStatus(payload.id);
+    }
+}
+
+// Redraw an edited or deleted message where it stands
+function updateMessageInUI(conversation, payload) {
+    const selector = `.message[data-message-id="${CSS.escape(payload.id)}"]`;
+    const messageDiv = conversation.messagesEl.querySelector(selector);
+    if (!messageDiv) return;
+
+    const isOwn = messageDiv.classList.contains('own');
+    messageDiv.replaceWith(createMessageElement(conversation, payload.sender, payload, payload.timestamp, isOwn));
+    releaseFilePreviews();
+    if (isOwn) {
+        updateMessageStatus(payload.id);
+    }
+
+    // Replies quoting it show the new text
+    const quoteSelector = `.message-reply[data-reply-to="${CSS.escape(payload.id)}"]`;
+    conversation.messagesEl.querySelectorAll(quoteSelector).forEach(quote => fillReplyQuote(conversation, quote));
 
-    const time = new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    // A marker on it went with the old element
+    if (!conversation.peerId) {
+        renderReadMarkers(conversation);
+    }
+}
+
+function createMessageElement(conversation, sender, payload, timestamp, isOwn) {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = `message ${isOwn ? 'own' : ''} ${payload.archived ? 'archived' : ''}`;
+    const time = payload.archived
+        ? new Date(timestamp).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })
+        : new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
     const displayName = sender || 'Anonymous';
 
+    // Replies quote from these; archived copies may share IDs with live messages
+    if (payload.id && !payload.archived) {
+        messageDiv.dataset.messageId = payload.id;
+        messageDiv.dataset.sender = displayName;
+        messageDiv.dataset.snippet = getMessageSnippet(payload);
+    }
+
     const messageContentSpan = document.createElement('span');
     messageContentSpan.className = 'message-content';
 
     const filesMap = new Map((payload.files || []).map(f => [f.id, f]));
 
-    if (payload.structure && payload.structure.length > 0) {
+    if (payload.replyTo && !payload.deletedAt && !payload.archived) {
+        messageContentSpan.appendChild(createReplyQuote(conversation, payload.replyTo));
+    }
+
+    if (payload.deletedAt) {
+        messageContentSpan.classList.add('message-deleted');
+        messageContentSpan.textContent = 'message deleted';
+    } else if (payload.structure && payload.structure.length > 0) {
         payload.structure.forEach(item => {
             if (item.type === 'text') {
-                messageContentSpan.appendChild(document.createTextNode(item.content));
+                messageContentSpan.appendChild(renderMarkdown(item.content));
             } else if (item.type === 'file') {
                 const file = filesMap.get(item.id);
-                if (file) {
+                if (file && payload.archived) {
+                    messageContentSpan.appendChild(createArchivedFileElement(file));
+                } else if (file) {
                     const fileSize = typeof file.size === 'number' ? formatFileSize(file.size) : file.size;
                     const fileElement = document.createElement('span');
                     fileElement.className = 'file-element clickable-file';
@@ -418,24 +994,21 @@ function addMessageToUI(sender, payload, timestamp, isOwn) {
                     fileSizeSpan.className = 'file-size';
                     fileSizeSpan.textContent = fileSize;
 
+                    const progressBar = document.createElement('span');
+                    progressBar.className = 'file-progress';
+
                     fileElement.appendChild(fileNameSpan);
                     fileElement.appendChild(fileSizeSpan);
+                    fileElement.appendChild(progressBar);
 
-                    fileElement.addEventListener('click', async () => {
-                        if (fileElement.dataset.fileData) {
-                            try {
-                                await ipcRenderer.invoke('save-file-dialog', {
-                                    fileName: fileElement.dataset.fileName,
-                                    fileData: fileElement.dataset.fileData
-                                });
-                            } catch (error) {
-                                console.error('File save error:', error);
-                                // Optionally, show an error to the user
-                            }
-                        }
-                    });
+                    fileElement.addEventListener('click', () => handleFileClick(conversation, fileElement, file));
 
                     messageContentSpan.appendChild(fileElement);
+                    updateFileElements(file.id);
+
+                    if (hasPreview(file)) {
+                        messageContentSpan.appendChild(createFilePreview(conversation, file));
+                    }
                 }
             }
         });
@@ -445,6 +1018,29 @@ function addMessageToUI(sender, payload, timestamp, isOwn) {
         textSpan.textContent = payload.text;
         messageContentSpan.appendChild(textSpan);
     }
+
+    if (payload.editedAt && !payload.deletedAt) {
+        const editedSpan = document.createElement('span');
+        editedSpan.className = 'message-edited';
+        editedSpan.textContent = ' (edited)';
+        editedSpan.title = `Edited ${new Date(payload.editedAt).toLocaleString()}`;
+        messageContentSpan.appendChild(editedSpan);
+    }
+
+    // Mentions of us stand out, and so does the message unless we wrote it
+    const ownName = conversation.displayName.toLowerCase();
+    messageContentSpan.querySelectorAll('.md-mention').forEach(mention => {
+        if (mention.dataset.mention === ownName) {
+            mention.classList.add('self');
+            if (!isOwn) {
+                messageDiv.classList.add('mentioned');
+            }
+        }
+    });
+
+    if (payload.reactions && payload.reactions.length > 0) {
+        messageContentSpan.appendChild(createReactionsRow(conversation, payload));
+    }
     
     const timeSpan = document.createElement('span');
     timeSpan.className = 'message-time';
@@ -456,10 +1052,839 @@ function addMessageToUI(sender, payload, timestamp, isOwn) {
 
     messageDiv.appendChild(timeSpan);
     messageDiv.appendChild(authorSpan);
+
+    // Fingerprint of the key that signed the message
+    if (payload.fingerprint) {
+        const fingerprintSpan = document.createElement('span');
+        fingerprintSpan.className = `message-fingerprint ${payload.keyChanged ? 'key-changed' : ''}`;
+        fingerprintSpan.textContent = payload.fingerprint.slice(0, 9);
+        fingerprintSpan.title = payload.keyChanged
+            ? `Key ${payload.fingerprint} does not match the one previously seen for ${displayName}`
+            : `Key ${payload.fingerprint}`;
+        messageDiv.appendChild(fingerprintSpan);
+    }
+
     messageDiv.appendChild(messageContentSpan);
 
-    chatMessages.appendChild(messageDiv);
-    chatMessages.scrollTop = chatMessages.scrollHeight;
+    // Room messages can be replied and reacted to; ours (signed with our key) edited or deleted
+    if (!conversation.peerId && payload.id && !payload.deletedAt && !payload.archived) {
+        messageDiv.appendChild(createMessageActions(conversation, messageDiv, payload, payload.fingerprint === identityFingerprint));
+    }
+
+    if (isOwn && payload.id) {
+        const statusSpan = document.createElement('span');
+        statusSpan.className = 'message-status';
+        messageDiv.appendChild(statusSpan);
+    }
+
+    return messageDiv;
+}
+
+// Only the name and size of an archived file are known; its bytes, if
+// bundled at export, are in the zip next to the transcript
+function createArchivedFileElement(file) {
+    const fileElement = document.createElement('span');
+    fileElement.className = 'file-element';
+    fileElement.title = file.attachment ? `Saved as ${file.attachment} in the transcript's attachments zip` : 'Not included in the export';
+
+    const fileNameSpan = document.createElement('span');
+    fileNameSpan.className = 'file-name';
+    fileNameSpan.textContent = file.name;
+
+    const fileSizeSpan = document.createElement('span');
+    fileSizeSpan.className = 'file-size';
+    fileSizeSpan.textContent = formatFileSize(file.size);
+
+    fileElement.appendChild(fileNameSpan);
+    fileElement.appendChild(fileSizeSpan);
+    return fileElement;
+}
+
+function createMessageActions(conversation, messageDiv, payload, isAuthor) {
+    const actions = document.createElement('span');
+    actions.className = 'message-actions';
+
+    const replyBtn = document.createElement('button');
+    replyBtn.className = 'message-action-btn';
+    replyBtn.textContent = '↩';
+    replyBtn.title = 'Reply';
+    replyBtn.addEventListener('click', () => startReply(conversation, messageDiv));
+
+    const reactBtn = document.createElement('button');
+    reactBtn.className = 'message-action-btn';
+    reactBtn.textContent = '☺';
+    reactBtn.title = 'React';
+    reactBtn.addEventListener('click', () => toggleReactionPicker(conversation, messageDiv, payload));
+
+    actions.appendChild(replyBtn);
+    actions.appendChild(reactBtn);
+    if (!isAuthor) {
+        return actions;
+    }
+
+    const editBtn = document.createElement('button');
+    editBtn.className = 'message-action-btn';
+    editBtn.textContent = '✎';
+    editBtn.title = 'Edit';
+    editBtn.addEventListener('click', () => startEditingMessage(conversation, messageDiv, payload));
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'message-action-btn';
+    deleteBtn.textContent = '✕';
+    deleteBtn.title = 'Delete for everyone';
+    deleteBtn.addEventListener('click', () => deleteMessage(conversation, payload));
+
+    actions.appendChild(editBtn);
+    actions.appendChild(deleteBtn);
+    return actions;
+}
+
+// Replies
+// The quote is filled in from the original's element, so it follows edits
+
+function getMessageSnippet(payload) {
+    if (payload.deletedAt) {
+        return 'message deleted';
+    }
+
+    const filesMap = new Map((payload.files || []).map(f => [f.id, f]));
+    const text = (payload.structure || [])
+        .map(item => (item.type === 'text' ? item.content : `[${(filesMap.get(item.id) || { name: 'file' }).name}]`))
+        .join(' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+}
+
+function createReplyQuote(conversation, messageId) {
+    const quote = document.createElement('div');
+    quote.className = 'message-reply';
+    quote.dataset.replyTo = messageId;
+    quote.title = 'Show the original message';
+    quote.addEventListener('click', () => scrollToMessage(conversation, messageId));
+    fillReplyQuote(conversation, quote);
+    return quote;
+}
+
+function fillReplyQuote(conversation, quote) {
+    const original = conversation.messagesEl.querySelector(`.message[data-message-id="${CSS.escape(quote.dataset.replyTo)}"]`);
+    quote.textContent = original
+        ? `↪ ${original.dataset.sender}: ${original.dataset.snippet}`
+        : '↪ Original message not available';
+}
+
+function scrollToMessage(conversation, messageId) {
+    const original = conversation.messagesEl.querySelector(`.message[data-message-id="${CSS.escape(messageId)}"]`);
+    if (!original) return;
+
+    original.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    original.classList.add('highlighted');
+    setTimeout(() => original.classList.remove('highlighted'), 1500);
+}
+
+function startReply(conversation, messageDiv) {
+    conversation.replyTo = {
+        id: messageDiv.dataset.messageId,
+        sender: messageDiv.dataset.sender,
+        snippet: messageDiv.dataset.snippet
+    };
+    renderReplyBar();
+    messageInput.focus();
+}
+
+function cancelReply() {
+    if (activeConversation && activeConversation.replyTo) {
+        activeConversation.replyTo = null;
+        renderReplyBar();
+    }
+}
+
+function renderReplyBar() {
+    const reply = activeConversation && activeConversation.replyTo;
+    replyBar.classList.toggle('visible', Boolean(reply));
+    replyBarText.textContent = reply ? `Replying to ${reply.sender}: ${reply.snippet}` : '';
+}
+
+// Reactions
+
+function createReactionsRow(conversation, payload) {
+    const row = document.createElement('div');
+    row.className = 'message-reactions';
+
+    payload.reactions.forEach(reaction => {
+        const chip = document.createElement('button');
+        chip.className = `reaction-chip ${reaction.own ? 'own' : ''}`;
+        chip.textContent = `${reaction.emoji} ${reaction.count}`;
+        chip.title = reaction.senders.join(', ');
+        if (payload.archived) {
+            chip.disabled = true;
+        } else {
+            chip.addEventListener('click', () => toggleReaction(conversation, payload.id, reaction.emoji));
+        }
+        row.appendChild(chip);
+    });
+    return row;
+}
+
+function toggleReactionPicker(conversation, messageDiv, payload) {
+    const open = messageDiv.querySelector('.reaction-picker');
+    if (open) {
+        open.remove();
+        return;
+    }
+
+    const picker = document.createElement('div');
+    picker.className = 'reaction-picker';
+    REACTION_EMOJIS.forEach(emoji => {
+        const option = document.createElement('button');
+        option.className = 'reaction-option';
+        option.textContent = emoji;
+        option.addEventListener('click', () => {
+            picker.remove();
+            toggleReaction(conversation, payload.id, emoji);
+        });
+        picker.appendChild(option);
+    });
+    messageDiv.appendChild(picker);
+}
+
+async function toggleReaction(conversation, messageId, emoji) {
+    const result = await ipcRenderer.invoke('toggle-reaction', conversation.roomId, messageId, emoji);
+    if (result.success) {
+        updateMessageInUI(conversation, result.message);
+    } else {
+        addSystemMessage(conversation, `Reaction not sent: ${result.error}`, Date.now());
+    }
+}
+
+// Edit the text in place; attachments stay as they were
+function startEditingMessage(conversation, messageDiv, payload) {
+    const contentSpan = messageDiv.querySelector('.message-content');
+    const editInput = document.createElement('textarea');
+    editInput.className = 'message-edit-input';
+    editInput.value = payload.structure
+        .filter(item => item.type === 'text')
+        .map(item => item.content)
+        .join('');
+    const originalText = editInput.value.trim();
+
+    const cancel = () => updateMessageInUI(conversation, payload);
+    editInput.addEventListener('keydown', async (e) => {
+        if (e.key === 'Escape') {
+            cancel();
+        } else if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            const text = editInput.value.trim();
+            const fileItems = payload.structure.filter(item => item.type === 'file');
+            const structure = text ? [{ type: 'text', content: text }, ...fileItems] : fileItems;
+            if (structure.length === 0 || text === originalText) {
+                cancel();
+                return;
+            }
+
+            const result = await ipcRenderer.invoke('edit-message', conversation.roomId, payload.id, { structure });
+            if (result.success) {
+                updateMessageInUI(conversation, result.message);
+            } else {
+                addSystemMessage(conversation, `Not edited: ${result.error}`, Date.now());
+                cancel();
+            }
+        }
+    });
+    editInput.addEventListener('blur', cancel);
+
+    contentSpan.replaceWith(editInput);
+    editInput.focus();
+}
+
+async function deleteMessage(conversation, payload) {
+    if (!confirm('Delete this message for everyone?')) return;
+
+    const result = await ipcRenderer.invoke('delete-message', conversation.roomId, payload.id);
+    if (result.success) {
+        updateMessageInUI(conversation, result.message);
+    } else {
+        addSystemMessage(conversation, `Not deleted: ${result.error}`, Date.now());
+    }
+}
+
+// Save a received file, or (re)start its download if we don't have it yet
+async function handleFileClick(conversation, fileElement, file) {
+    const transfer = fileTransfers.get(file.id);
+    if (transfer && transfer.status === 'downloading') return;
+
+    try {
+        if (transfer && (transfer.status === 'paused' || transfer.status === 'failed')) {
+            await ipcRenderer.invoke('download-file', conversation.roomId, file);
+            return;
+        }
+
+        const result = await ipcRenderer.invoke('save-file-dialog', {
+            roomId: conversation.roomId,
+            fileId: file.id,
+            fileName: fileElement.dataset.fileName,
+            fileData: fileElement.dataset.fileData
+        });
+
+        // Files from history aren't fetched until someone asks for them
+        if (!result.success && !transfer && !fileElement.dataset.fileData && file.hash) {
+            await ipcRenderer.invoke('download-file', conversation.roomId, file);
+        }
+    } catch (error) {
+        console.error('File save error:', error);
+        // Optionally, show an error to the user
+    }
+}
+
+// Previews
+// Filled in once we hold the whole file - our own straight away, others'
+// when their download completes
+
+function hasPreview(file) {
+    const dot = file.name.lastIndexOf('.');
+    return dot !== -1 && PREVIEW_EXTENSIONS.includes(file.name.slice(dot).toLowerCase());
+}
+
+function createFilePreview(conversation, file) {
+    const previewEl = document.createElement('div');
+    previewEl.className = 'file-preview';
+    previewEl.dataset.fileId = file.id;
+    previewEl.dataset.fileName = file.name;
+
+    if (filePreviews.has(file.id)) {
+        renderFilePreview(previewEl, filePreviews.get(file.id));
+    } else {
+        loadFilePreview(conversation.roomId, file.id);
+    }
+    return previewEl;
+}
+
+async function loadFilePreview(roomId, fileId) {
+    if (filePreviews.has(fileId) || pendingPreviews.has(fileId)) return;
+
+    pendingPreviews.add(fileId);
+    try {
+        const result = await ipcRenderer.invoke('get-file-preview', roomId, fileId);
+        if (!result.success) return;
+
+        const { preview } = result;
+        filePreviews.set(fileId, preview.kind === 'image'
+            ? { kind: 'image', url: URL.createObjectURL(new Blob([preview.data], { type: preview.mime })) }
+            : preview);
+
+        const selector = `.file-preview[data-file-id="${CSS.escape(fileId)}"]`;
+        chatScreen.querySelectorAll(selector).forEach(previewEl => renderFilePreview(previewEl, filePreviews.get(fileId)));
+        releaseFilePreviews(); // The message may have gone while we waited
+    } catch (error) {
+        console.error('Preview error:', error);
+    } finally {
+        pendingPreviews.delete(fileId);
+    }
+}
+
+// Image previews hold their bytes in blob URLs until revoked, so drop the ones
+// no message on screen shows any more (edited or deleted away, or the room left)
+function releaseFilePreviews() {
+    const shown = new Set();
+    chatScreen.querySelectorAll('.file-preview').forEach(previewEl => shown.add(previewEl.dataset.fileId));
+
+    filePreviews.forEach((preview, fileId) => {
+        if (shown.has(fileId)) return;
+        if (preview.kind === 'image') {
+            URL.revokeObjectURL(preview.url);
+        }
+        filePreviews.delete(fileId);
+    });
+}
+
+function renderFilePreview(previewEl, preview) {
+    previewEl.innerHTML = '';
+
+    if (preview.kind === 'image') {
+        const image = document.createElement('img');
+        image.className = 'file-thumbnail';
+        image.src = preview.url;
+        image.alt = previewEl.dataset.fileName;
+        image.addEventListener('click', () => openLightbox(preview.url, previewEl.dataset.fileName));
+        previewEl.appendChild(image);
+    } else {
+        const text = document.createElement('pre');
+        text.className = 'file-text-preview';
+        text.textContent = preview.truncated ? `${preview.text}\n…` : preview.text;
+        previewEl.appendChild(text);
+    }
+}
+
+function openLightbox(url, name) {
+    lightboxImage.src = url;
+    lightboxImage.alt = name;
+    lightbox.classList.add('visible');
+}
+
+function closeLightbox() {
+    lightbox.classList.remove('visible');
+    lightboxImage.removeAttribute('src');
+}
+
+// Show download progress on every chip for this file
+function updateFileElements(fileId) {
+    const transfer = fileTransfers.get(fileId);
+    if (!transfer) return;
+
+    const selector = `.clickable-file[data-file-id="${CSS.escape(fileId)}"]`;
+    chatScreen.querySelectorAll(selector).forEach(fileElement => {
+        fileElement.classList.remove('downloading', 'paused', 'failed', 'complete');
+        fileElement.classList.add(transfer.status);
+
+        const percent = transfer.total ? Math.floor((transfer.received / transfer.total) * 100) : 0;
+        const progressBar = fileElement.querySelector('.file-progress');
+        if (progressBar) {
+            progressBar.style.width = transfer.status === 'complete' ? '0' : `${percent}%`;
+        }
+
+        const titles = {
+            downloading: `Downloading… ${percent}%`,
+            paused: `Download paused at ${percent}% - click to resume`,
+            failed: 'Download failed - click to retry',
+            complete: 'Click to save'
+        };
+        fileElement.title = titles[transfer.status] || '';
+    });
+}
+
+// Reflect the delivery state of one of our own messages
+function updateMessageStatus(messageId) {
+    const update = deliveryStatuses.get(messageId);
+    const statusSpan = chatScreen.querySelector(`[data-message-id="${messageId}"] .message-status`);
+    if (!update || !statusSpan) return;
+
+    const labels = { sent: '✓', delivered: '✓✓', failed: '!' };
+    statusSpan.textContent = labels[update.status] || '';
+    statusSpan.className = `message-status ${update.status}`;
+
+    if (update.total) {
+        statusSpan.title = `${update.status} (${update.delivered}/${update.total} peers)`;
+    } else {
+        statusSpan.title = update.status;
+    }
+}
+
+// Join/leave/timeout notices, kept per conversation so history re-renders don't drop them
+function addSystemMessage(conversation, text, timestamp, warning) {
+    const entry = { text, timestamp, warning };
+    conversation.systemMessages.push(entry);
+    renderSystemMessage(conversation, entry);
+}
+
+// Redraw a room from its full log, keeping join/leave notices in place
+function renderHistory(room, messages) {
+    room.messagesEl.innerHTML = '';
+    room.archives.forEach(archive => renderArchive(room, archive));
+    const entries = [
+        ...messages.map(message => ({ message, timestamp: message.timestamp })),
+        ...room.systemMessages
+    ].sort((a, b) => a.timestamp - b.timestamp);
+
+    entries.forEach(entry => {
+        if (entry.message) {
+            const message = entry.message;
+            addMessageToUI(room, message.sender, message, message.timestamp, message.fingerprint === identityFingerprint);
+        } else {
+            renderSystemMessage(room, entry);
+        }
+    });
+    renderReadMarkers(room);
+    releaseFilePreviews();
+    if (room === activeConversation) {
+        markActiveRead();
+    }
+}
+
+function renderSystemMessage(conversation, entry) {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = `message system ${entry.warning ? 'warning' : ''}`;
+    messageDiv.textContent = entry.text;
+
+    // Identity warnings offer to trust the new key
+    if (entry.warning && !entry.warning.trusted) {
+        const trustBtn = document.createElement('button');
+        trustBtn.className = 'trust-btn';
+        trustBtn.textContent = 'Trust new key';
+        trustBtn.addEventListener('click', async () => {
+            await ipcRenderer.invoke('trust-peer-key', entry.warning.displayName, entry.warning.fingerprint);
+            entry.warning.trusted = true;
+            trustBtn.remove();
+        });
+        messageDiv.appendChild(trustBtn);
+    }
+
+    conversation.messagesEl.appendChild(messageDiv);
+    conversation.messagesEl.scrollTop = conversation.messagesEl.scrollHeight;
+}
+
+// Rooms
+// Every joined room, and every DM thread within one, keeps its own message pane
+// and composer draft; only the active conversation is shown.
+function createMessagesPane() {
+    const messagesEl = document.createElement('div');
+    messagesEl.className = 'chat-messages';
+    messagesEl.style.display = 'none';
+    chatInputContainer.parentNode.insertBefore(messagesEl, chatInputContainer);
+    return messagesEl;
+}
+
+function addRoom(roomId, name, displayName) {
+    rooms.set(roomId, {
+        roomId,
+        peerId: null,
+        name,
+        displayName,
+        messagesEl: createMessagesPane(),
+        systemMessages: [],
+        peers: [],
+        unread: 0,
+        draft: null,
+        replyTo: null, // { id, sender, snippet } of the message being answered
+        notify: loadNotifySetting(name), // 'all', 'mentions' or 'none'
+        typing: [], // [{ peerId, displayName }] of peers typing right now
+        readMarkers: [], // [{ displayName, fingerprint, messageId }], newest message each peer has seen
+        bridge: null, // { urls, accessCode, clients } while browsers can join through us
+        archives: [], // Imported transcripts, shown read-only above the room's own messages
+        threads: new Map() // peerId -> DM thread
+    });
+}
+
+// Private thread with one peer, created the first time either side writes
+function getDirectThread(room, peerId, peerName) {
+    if (!room.threads.has(peerId)) {
+        room.threads.set(peerId, {
+            roomId: room.roomId,
+            peerId,
+            name: peerName || 'Anonymous',
+            displayName: room.displayName,
+            messagesEl: createMessagesPane(),
+            systemMessages: [],
+            unread: 0,
+            draft: null
+        });
+    }
+    return room.threads.get(peerId);
+}
+
+function openDirectThread(room, peer) {
+    switchConversation(getDirectThread(room, peer.peerId, peer.displayName));
+}
+
+function getActiveRoom() {
+    return activeConversation ? rooms.get(activeConversation.roomId) || null : null;
+}
+
+function switchConversation(conversation) {
+    // Park the current draft, attachments and all, with its conversation
+    const previous = activeConversation;
+    if (previous && previous !== conversation) {
+        previous.draft = document.createDocumentFragment();
+        while (messageInput.firstChild) {
+            previous.draft.appendChild(messageInput.firstChild);
+        }
+        previous.messagesEl.style.display = 'none';
+    }
+
+    activeConversation = conversation;
+    conversation.unread = 0;
+    conversation.messagesEl.style.display = '';
+    if (conversation.draft) {
+        messageInput.appendChild(conversation.draft);
+        conversation.draft = null;
+    }
+
+    const room = getActiveRoom();
+    if (conversation.peerId) {
+        currentRoomSpan.innerHTML = `${escapeHtml(conversation.name)} <span style="color: #888;">• private in ${escapeHtml(room.name)}</span>`;
+        messageInput.setAttribute('data-placeholder', `Message ${conversation.name} privately`);
+    } else {
+        // Show room name and user name together with styling
+        currentRoomSpan.innerHTML = `${escapeHtml(room.name)} <span style="color: #888;">•</span> <span style="color: #ff4444;">${escapeHtml(room.displayName)}</span>`;
+        messageInput.setAttribute('data-placeholder', `Message ${room.name}`);
+    }
+    currentRoomSpan.title = identityFingerprint ? `Your identity key: ${identityFingerprint}` : '';
+
+    // Attachments travel under the room key, so DMs are text only
+    filePickerBtn.disabled = Boolean(conversation.peerId);
+    notifySelect.value = room.notify;
+    renderBridgeButton();
+    renderReplyBar();
+    renderTypingIndicator();
+    markActiveRead();
+
+    renderRoomList();
+    renderPeerList();
+    refreshPeers();
+    messageInput.focus();
+}
+
+function renderRoomList() {
+    roomList.innerHTML = '';
+
+    rooms.forEach(room => {
+        roomList.appendChild(createRoomListItem(room, room.name));
+        room.threads.forEach(thread => {
+            const item = createRoomListItem(thread, `@${thread.name}`);
+            item.classList.add('direct');
+            roomList.appendChild(item);
+        });
+    });
+    updateUnreadBadge();
+}
+
+function createRoomListItem(conversation, label) {
+    const item = document.createElement('li');
+    item.className = `room-item ${conversation === activeConversation ? 'active' : ''}`;
+    item.addEventListener('click', () => switchConversation(conversation));
+
+    const nameSpan = document.createElement('span');
+    nameSpan.className = 'room-item-name';
+    nameSpan.textContent = label;
+    item.appendChild(nameSpan);
+
+    if (conversation.unread > 0) {
+        const unreadSpan = document.createElement('span');
+        unreadSpan.className = 'unread-count';
+        unreadSpan.textContent = conversation.unread > 99 ? '99+' : String(conversation.unread);
+        item.appendChild(unreadSpan);
+    }
+
+    return item;
+}
+
+function showSetupScreen() {
+    cancelJoinBtn.style.display = rooms.size > 0 ? '' : 'none';
+    chatScreen.style.display = 'none';
+    setupScreen.style.display = 'flex';
+    roomInput.focus();
+}
+
+function showChatScreen() {
+    if (rooms.size === 0) return;
+    setupScreen.style.display = 'none';
+    chatScreen.style.display = 'flex';
+    messageInput.focus();
+    markActiveRead();
+}
+
+// Notifications
+// Native ones only while the window is in the background, per the room's
+// setting: everything, only mentions (and DMs), or nothing
+
+function isUnseen(conversation) {
+    return conversation !== activeConversation || !document.hasFocus();
+}
+
+function mentionsMe(conversation, payload) {
+    const ownName = conversation.displayName.toLowerCase();
+    return (payload.structure || []).some(item => item.type === 'text' &&
+        Array.from(item.content.matchAll(MENTION_PATTERN)).some(match => match[1].toLowerCase() === ownName));
+}
+
+function notifyMessage(conversation, payload, important) {
+    if (doNotDisturb || document.hasFocus()) return;
+
+    const room = rooms.get(conversation.roomId);
+    if (room.notify === 'none' || (room.notify === 'mentions' && !important)) return;
+
+    const sender = payload.sender || 'Anonymous';
+    ipcRenderer.invoke('show-notification', {
+        title: conversation.peerId ? `${sender} (private, ${room.name})` : `${sender} in ${room.name}`,
+        body: getMessageSnippet(payload),
+        roomId: room.roomId,
+        peerId: conversation.peerId
+    }).catch(error => console.error('Error showing notification:', error));
+}
+
+function loadNotifySetting(roomName) {
+    const saved = JSON.parse(localStorage.getItem('notifyRooms') || '{}');
+    return saved[roomName] || 'all';
+}
+
+function updateNotifySetting() {
+    const room = getActiveRoom();
+    if (!room) return;
+
+    room.notify = notifySelect.value;
+    const saved = JSON.parse(localStorage.getItem('notifyRooms') || '{}');
+    if (room.notify === 'all') {
+        delete saved[room.name];
+    } else {
+        saved[room.name] = room.notify;
+    }
+    localStorage.setItem('notifyRooms', JSON.stringify(saved));
+}
+
+function toggleDoNotDisturb() {
+    doNotDisturb = !doNotDisturb;
+    localStorage.setItem('doNotDisturb', String(doNotDisturb));
+    renderDoNotDisturb();
+}
+
+function renderDoNotDisturb() {
+    dndBtn.classList.toggle('active', doNotDisturb);
+    dndBtn.title = doNotDisturb
+        ? 'Do not disturb is on - click to get notifications again'
+        : 'Do not disturb: no notifications from any room';
+}
+
+// Total unread in the window title, and on the dock or launcher where there is one
+function updateUnreadBadge() {
+    let total = 0;
+    rooms.forEach(room => {
+        total += room.unread;
+        room.threads.forEach(thread => { total += thread.unread; });
+    });
+
+    document.title = total > 0 ? `(${total}) Local Network Chat` : 'Local Network Chat';
+    if (total !== badgeCount) {
+        badgeCount = total;
+        ipcRenderer.invoke('set-unread-badge', total).catch(error => console.error('Error setting badge:', error));
+    }
+}
+
+// Typing and read markers
+// Both are only for rooms: a TYPING packet goes to the whole room, so typing
+// in a DM thread sends nothing
+
+function sendTyping() {
+    if (!activeConversation || activeConversation.peerId) return;
+    if (!messageInput.textContent.trim() && attachedFiles.size === 0) return;
+
+    ipcRenderer.invoke('send-typing', activeConversation.roomId)
+        .catch(error => console.error('Error sending typing:', error));
+}
+
+function renderTypingIndicator() {
+    const room = getActiveRoom();
+    const typing = !room ? [] : activeConversation.peerId
+        ? room.typing.filter(peer => peer.peerId === activeConversation.peerId)
+        : room.typing;
+    const names = typing.map(peer => peer.displayName);
+
+    if (names.length === 0) {
+        typingIndicator.textContent = '';
+    } else if (names.length === 1) {
+        typingIndicator.textContent = `${names[0]} is typing…`;
+    } else if (names.length <= 3) {
+        typingIndicator.textContent = `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]} are typing…`;
+    } else {
+        typingIndicator.textContent = 'Several people are typing…';
+    }
+}
+
+// Tell the room we've seen the conversation on screen
+function markActiveRead() {
+    if (!activeConversation || activeConversation.peerId || !document.hasFocus()) return;
+    if (chatScreen.style.display === 'none') return;
+
+    ipcRenderer.invoke('mark-read', activeConversation.roomId)
+        .catch(error => console.error('Error marking read:', error));
+}
+
+// "Seen by" goes on the newest message each peer has seen
+function renderReadMarkers(room) {
+    room.messagesEl.querySelectorAll('.message-seen').forEach(el => el.remove());
+
+    const byMessage = new Map();
+    room.readMarkers.forEach(marker => {
+        if (!byMessage.has(marker.messageId)) {
+            byMessage.set(marker.messageId, []);
+        }
+        byMessage.get(marker.messageId).push(marker);
+    });
+
+    byMessage.forEach((markers, messageId) => {
+        const messageDiv = room.messagesEl.querySelector(`.message[data-message-id="${CSS.escape(messageId)}"]`);
+        if (!messageDiv) return;
+
+        const seenSpan = document.createElement('span');
+        seenSpan.className = 'message-seen';
+        seenSpan.textContent = `Seen by ${markers.map(marker => marker.displayName).join(', ')}`;
+        seenSpan.title = markers.map(marker => `${marker.displayName} (${marker.fingerprint})`).join('\n');
+        messageDiv.appendChild(seenSpan);
+    });
+}
+
+// Peer list
+// The active room's list is pushed on joins and leaves, and polled so last-seen times stay fresh
+function startPeerRefresh() {
+    if (peerRefreshTimer) return;
+    refreshPeers();
+    peerRefreshTimer = setInterval(refreshPeers, 5000);
+}
+
+function stopPeerRefresh() {
+    clearInterval(peerRefreshTimer);
+    peerRefreshTimer = null;
+    renderPeerList();
+}
+
+async function refreshPeers() {
+    const room = getActiveRoom();
+    if (!room) return;
+
+    try {
+        room.peers = await ipcRenderer.invoke('get-peers', room.roomId);
+        if (room === getActiveRoom()) {
+            renderPeerList();
+        }
+    } catch (error) {
+        console.error('Error fetching peers:', error);
+    }
+}
+
+function renderPeerList() {
+    const room = getActiveRoom();
+    const peers = room ? room.peers : [];
+
+    peerList.innerHTML = '';
+    peerCountSpan.textContent = room ? `${peers.length} online` : '';
+
+    if (peers.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'peer-list-empty';
+        empty.textContent = 'No one else here yet';
+        peerList.appendChild(empty);
+        return;
+    }
+
+    peers
+        .slice()
+        .sort((a, b) => (a.displayName || '').localeCompare(b.displayName || ''))
+        .forEach(peer => {
+            const item = document.createElement('li');
+            item.className = 'peer-item';
+            item.title = `Message ${peer.displayName || 'Anonymous'} privately`;
+            item.addEventListener('click', () => openDirectThread(room, peer));
+
+            const nameSpan = document.createElement('span');
+            nameSpan.className = 'peer-name';
+            nameSpan.textContent = peer.displayName || 'Anonymous';
+
+            const metaSpan = document.createElement('span');
+            metaSpan.className = 'peer-meta';
+            metaSpan.textContent = `${peer.address} · ${formatLastSeen(peer.lastSeen)}`;
+
+            const fingerprintSpan = document.createElement('span');
+            fingerprintSpan.className = 'peer-meta peer-fingerprint';
+            fingerprintSpan.textContent = peer.fingerprint;
+
+            item.appendChild(nameSpan);
+            item.appendChild(metaSpan);
+            item.appendChild(fingerprintSpan);
+            peerList.appendChild(item);
+        });
+}
+
+function formatLastSeen(lastSeen) {
+    const seconds = Math.max(0, Math.round((Date.now() - lastSeen) / 1000));
+    return seconds < 5 ? 'just now' : `${seconds}s ago`;
 }
 
 // Escape HTML to prevent XSS
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const { WebSocketBridge } = require('../src/core/ws-bridge');
+const { createLogger } = require('./helpers');
+
+// Where the browser bridge listens, before any browser connects
+
+function createBridge(options = {}) {
+  return new WebSocketBridge({ roomName: 'Bridge-room', dataDir: os.tmpdir(), port: 0, logger: createLogger(), ...options });
+}
+
+test('the bridge only listens on loopback unless it has TLS', async (t) => {
+  const bridge = createBridge();
+  t.after(() => bridge.stop());
+  const { port, secure } = await bridge.start();
+
+  assert.strictEqual(bridge.server.address().address, '127.0.0.1');
+  assert.strictEqual(secure, false);
+  assert.ok(port > 0);
+  assert.ok(bridge.logger.lines.some(line => line.includes(`http://127.0.0.1:${port}`)));
+
+  const open = createBridge({ host: '0.0.0.0' });
+  await assert.rejects(open.start(), /needs a TLS certificate and key/);
+  assert.strictEqual(open.server, null);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { createRoom, nextEvent, waitForPeers, text } = require('./helpers');
+
+// Reliable delivery: ACKs, retransmission and delivery receipts
+
+test('delivers messages and reports the ACKs', async (t) => {
+  const room = createRoom();
+  t.after(room.closeAll);
+  const alice = await room.join('Alice');
+  const bob = await room.join('Bob');
+  const carol = await room.join('Carol');
+  await waitForPeers([alice, bob, carol]);
+
+  const received = Promise.all([bob, carol].map(node => nextEvent(node, 'message')));
+  const delivered = nextEvent(alice, 'message-status', update => update.status === 'delivered');
+  const { message, status } = alice.sendChatMessage(text('hello'));
+  assert.strictEqual(status, 'sent');
+
+  const copies = await received;
+  copies.forEach(copy => {
+    assert.strictEqual(copy.id, message.id);
+    assert.strictEqual(copy.sender, 'Alice');
+    assert.deepStrictEqual(copy.structure, [{ type: 'text', content: 'hello' }]);
+    assert.strictEqual(copy.fingerprint, alice.identity.fingerprint);
+  });
+  assert.deepStrictEqual(await delivered, { messageId: message.id, status: 'delivered', delivered: 2, total: 2 });
+  assert.strictEqual(alice.pendingDeliveries.size, 0);
+});
+
+test('a message under a key we lack yet is shown and ACKed once the key arrives', async (t) => {
+  const room = createRoom();
+  t.after(room.closeAll);
+  const alice = await room.join('Alice');
+  const bob = await room.join('Bob');
+  await waitForPeers([alice, bob]);
+
+  // Alice moves to a new epoch without handing Bob the key, as if the grant got lost
+  alice.installRoomKey(1, crypto.randomBytes(32), alice.peerId);
+  const received = nextEvent(bob, 'message', null, 10000);
+  const delivered = nextEvent(alice, 'message-status', null, 10000);
+  const { message } = alice.sendChatMessage(text('sealed under epoch 1'));
+
+  // Bob can't open the first copy; he asks for the key and takes the retransmission
+  assert.strictEqual((await received).id, message.id);
+  assert.strictEqual(bob.keyEpoch, 1);
+  assert.strictEqual((await delivered).status, 'delivered');
+});
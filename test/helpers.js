@@ -0,0 +1,107 @@
+const { ChatNode } = require('../src/core/chat-node');
+const { LoopbackNetwork } = require('../src/core/loopback');
+
+// Shared setup for tests that run whole rooms in one process over a
+// LoopbackNetwork. Nodes are quiet unless LOCALCHAT_TEST_VERBOSE is set, and
+// each one keeps what it logged so tests can look for protocol diagnostics.
+
+const ROOM = 'Test-room';
+const PASSPHRASE = 'correct horse battery staple';
+const SALT_WAIT = 200; // Loopback answers within a tick; the first member needn't wait long
+
+function createLogger() {
+  const lines = [];
+  const record = (...parts) => {
+    lines.push(parts.join(' '));
+    if (process.env.LOCALCHAT_TEST_VERBOSE) {
+      console.error(...parts);
+    }
+  };
+  return { lines, log: record, warn: record, error: record };
+}
+
+// Every node created here is closed by closeAll(), so no timers outlive a test
+function createRoom() {
+  const network = new LoopbackNetwork();
+  const nodes = [];
+
+  // A node on the network that hasn't joined yet
+  function create(displayName, options = {}) {
+    const node = new ChatNode({
+      roomName: ROOM,
+      displayName,
+      passphrase: PASSPHRASE,
+      saltWait: SALT_WAIT,
+      logger: createLogger(),
+      transport: network.createTransport(),
+      ...options
+    });
+    nodes.push(node);
+    return node;
+  }
+
+  async function join(displayName, options = {}) {
+    const node = create(displayName, options);
+    await node.join();
+    return node;
+  }
+
+  function closeAll() {
+    nodes.forEach(node => node.close());
+  }
+
+  return { network, create, join, closeAll };
+}
+
+// Resolves once check() returns something truthy, polling until the timeout
+async function waitFor(check, { timeout = 5000, interval = 20, what = 'condition' } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = check();
+    if (result) return result;
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${what}`);
+    }
+    await delay(interval);
+  }
+}
+
+// Resolves with the arguments of the next matching event
+function nextEvent(emitter, event, filter = null, timeout = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      emitter.removeListener(event, listener);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, timeout);
+    const listener = (...args) => {
+      if (filter && !filter(...args)) return;
+      clearTimeout(timer);
+      emitter.removeListener(event, listener);
+      resolve(args.length > 1 ? args : args[0]);
+    };
+    emitter.on(event, listener);
+  });
+}
+
+// Join announcements and status replies go back and forth for a moment after join()
+function waitForPeers(nodes) {
+  return waitFor(() => nodes.every(node => node.peers.size === nodes.length - 1), { what: 'peers to see each other' });
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function text(content) {
+  return { structure: [{ type: 'text', content }] };
+}
+
+module.exports = {
+  createLogger,
+  createRoom,
+  waitFor,
+  nextEvent,
+  waitForPeers,
+  delay,
+  text
+};
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HISTORY_PAGE_SIZE, generateMessageId } = require('../src/core/protocol');
+const { createRoom, waitFor, waitForPeers, text } = require('./helpers');
+
+// History sync between members
+
+test('a late joiner gets history longer than one page', async (t) => {
+  const room = createRoom();
+  t.after(room.closeAll);
+  const alice = await room.join('Alice');
+  const count = HISTORY_PAGE_SIZE * 2 + 10;
+  for (let i = 0; i < count; i++) {
+    alice.sendChatMessage(text(`message ${i}`));
+  }
+
+  const bob = await room.join('Bob');
+  await waitFor(() => bob.getMessages().length === count, { what: 'every history page' });
+  assert.deepStrictEqual(
+    bob.getMessages().map(message => message.structure[0].content),
+    alice.getMessages().map(message => message.structure[0].content)
+  );
+  assert.ok(bob.logger.lines.some(line => line.startsWith('Received history page 2/')));
+});
+
+test('anti-entropy fills in messages a peer missed', async (t) => {
+  const room = createRoom();
+  t.after(room.closeAll);
+  const alice = await room.join('Alice');
+  const bob = await room.join('Bob');
+  await waitForPeers([alice, bob]);
+
+  // A message only Alice has, as if Bob had been away when it was sent
+  const missed = {
+    id: generateMessageId(),
+    sender: 'Alice',
+    structure: [{ type: 'text', content: 'while you were out' }],
+    files: [],
+    timestamp: Date.now()
+  };
+  alice.signChatEntry(missed);
+  assert.strictEqual(alice.mergeHistory([missed]), 1);
+  assert.strictEqual(bob.getMessages().length, 0);
+
+  alice.sendHistoryDigest();
+  await waitFor(() => bob.getMessages().length === 1, { what: 'the digest pull' });
+  assert.strictEqual(bob.getMessages()[0].id, missed.id);
+});
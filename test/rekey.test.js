@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MESSAGE_TYPES } = require('../src/core/protocol');
+const { createRoom, waitFor, nextEvent, waitForPeers, delay, text } = require('./helpers');
+
+// Room keys: the passphrase key, and rekeys when members go
+
+test('rekeys the room after a member leaves', async (t) => {
+  const room = createRoom();
+  t.after(room.closeAll);
+  const alice = await room.join('Alice');
+  const bob = await room.join('Bob');
+  const carol = await room.join('Carol');
+  await waitForPeers([alice, bob, carol]);
+
+  const carolKeys = Array.from(carol.roomKeys.values());
+  const left = nextEvent(alice, 'peer-event', event => event.event === 'left');
+  await carol.leave();
+  assert.strictEqual((await left).displayName, 'Carol');
+
+  await waitFor(() => alice.keyEpoch === 1 && bob.keyEpoch === 1, { what: 'the rekey to reach everyone' });
+  assert.ok(alice.roomKey.equals(bob.roomKey));
+  carolKeys.forEach(key => assert.ok(!alice.roomKey.equals(key)));
+
+  // Later traffic goes out under the new epoch and still gets through
+  const sealed = [];
+  bob.transport.on('message', buffer => {
+    const packet = JSON.parse(buffer.toString());
+    if (packet.type === MESSAGE_TYPES.MESSAGE) sealed.push(packet);
+  });
+  const received = nextEvent(bob, 'message');
+  alice.sendChatMessage(text('after the rekey'));
+  assert.strictEqual((await received).structure[0].content, 'after the rekey');
+  assert.strictEqual(sealed[0].keyEpoch, 1);
+  assert.strictEqual(sealed[0].content, undefined);
+
+  // Someone joining now has to be handed the new key by a member
+  const dave = await room.join('Dave');
+  assert.strictEqual(dave.keyEpoch, 1);
+  assert.ok(dave.roomKey.equals(alice.roomKey));
+});
+
+test('someone without the passphrase is never a peer and never gets a key', async (t) => {
+  const room = createRoom();
+  t.after(room.closeAll);
+  const alice = await room.join('Alice');
+  const bob = await room.join('Bob');
+  const carol = await room.join('Carol');
+
+  // Mallory skips the passphrase check by ignoring the room's salt and making up her own
+  const mallory = room.create('Mallory', { passphrase: 'a guess' });
+  mallory.waitForRoomSalt = async () => null;
+  await mallory.join();
+  await waitForPeers([alice, bob, carol]);
+  await delay(300);
+  [alice, bob, carol].forEach(node => {
+    assert.ok(!node.getPeers().some(peer => peer.displayName === 'Mallory'));
+  });
+
+  await carol.leave();
+  await waitFor(() => alice.keyEpoch === 1 && bob.keyEpoch === 1, { what: 'the rekey' });
+  await delay(300);
+  assert.ok(!Array.from(mallory.roomKeys.values()).some(key => key.equals(alice.roomKey)));
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MESSAGE_TYPES, generateMessageId } = require('../src/core/protocol');
+const { createRoom, waitFor, nextEvent, waitForPeers, delay, text } = require('./helpers');
+
+// Edits, deletions, replies and reactions
+
+test('edits and deletes reach peers and late joiners', async (t) => {
+  const room = createRoom();
+  t.after(room.closeAll);
+  const alice = await room.join('Alice');
+  const bob = await room.join('Bob');
+  await waitForPeers([alice, bob]);
+
+  const statuses = [];
+  alice.on('message-status', update => statuses.push(update.status));
+  const { message: kept } = alice.sendChatMessage(text('lunch?'));
+  const { message: gone } = alice.sendChatMessage(text('typo'));
+  await waitFor(() => bob.getMessages().length === 2, { what: 'both messages' });
+
+  let updated = nextEvent(bob, 'message-updated');
+  alice.editMessage(kept.id, text('lunch today?'));
+  let seen = await updated;
+  assert.deepStrictEqual(seen.structure, [{ type: 'text', content: 'lunch today?' }]);
+  assert.ok(seen.editedAt);
+
+  // A deletion leaves a tombstone
+  updated = nextEvent(bob, 'message-updated');
+  alice.deleteMessage(gone.id);
+  seen = await updated;
+  assert.ok(seen.deletedAt);
+  assert.deepStrictEqual(seen.structure, []);
+  await alice.waitForDeliveries();
+  assert.deepStrictEqual(statuses, ['delivered', 'delivered', 'delivered', 'delivered']);
+
+  // Only the author can revise a message, and a deleted one stays deleted
+  assert.throws(() => bob.editMessage(kept.id, text('no')), /only change your own/);
+  assert.throws(() => alice.editMessage(gone.id, text('back')), /deleted/);
+
+  const carol = await room.join('Carol');
+  await waitFor(() => carol.getMessages().length === 2, { what: 'history with revisions' });
+  const [first, second] = carol.getMessages();
+  assert.deepStrictEqual(first.structure, [{ type: 'text', content: 'lunch today?' }]);
+  assert.ok(second.deletedAt);
+});
+
+test('a reply stays a reply when edited', async (t) => {
+  const room = createRoom();
+  t.after(room.closeAll);
+  const alice = await room.join('Alice');
+  const bob = await room.join('Bob');
+  await waitForPeers([alice, bob]);
+
+  const { message: question } = alice.sendChatMessage(text('lunch?'));
+  await nextEvent(bob, 'message');
+  const { message: reply } = bob.sendChatMessage({ ...text('yes'), replyTo: question.id });
+  assert.strictEqual((await nextEvent(alice, 'message')).replyTo, question.id);
+
+  const updated = nextEvent(alice, 'message-updated');
+  bob.editMessage(reply.id, text('yes, at noon'));
+  const seen = await updated;
+  assert.strictEqual(seen.replyTo, question.id);
+  assert.deepStrictEqual(seen.structure, [{ type: 'text', content: 'yes, at noon' }]);
+
+  // Deleting it leaves a tombstone where the reply was
+  bob.deleteMessage(reply.id);
+  await nextEvent(alice, 'message-updated');
+  assert.ok(alice.getMessages().find(message => message.id === reply.id).deletedAt);
+  await bob.waitForDeliveries();
+});
+
+test('reactions are emoji, and only accepted ones are ACKed', async (t) => {
+  const room = createRoom();
+  t.after(room.closeAll);
+  const alice = await room.join('Alice');
+  const bob = await room.join('Bob');
+  await waitForPeers([alice, bob]);
+
+  const { message } = alice.sendChatMessage(text('ship it?'));
+  await nextEvent(bob, 'message');
+  await alice.waitForDeliveries();
+
+  const statuses = [];
+  bob.on('message-status', update => statuses.push(update.status));
+  const updated = nextEvent(alice, 'message-updated');
+  bob.toggleReaction(message.id, '👍🏽');
+  assert.deepStrictEqual((await updated).reactions.map(reaction => reaction.emoji), ['👍🏽']);
+  await bob.waitForDeliveries();
+  assert.deepStrictEqual(statuses, ['delivered']);
+
+  assert.throws(() => bob.toggleReaction(message.id, 'lol'), /Not a valid reaction/);
+
+  // One that gets past the sender's own check is neither taken nor ACKed
+  const entry = {
+    id: generateMessageId(),
+    sender: 'Bob',
+    structure: [],
+    files: [],
+    timestamp: Date.now(),
+    reaction: { messageId: message.id, emoji: 'lol', active: true }
+  };
+  bob.signChatEntry(entry);
+  const { publicKey, ...content } = entry;
+  const packet = {
+    type: MESSAGE_TYPES.REACTION,
+    messageId: generateMessageId(),
+    peerId: bob.peerId,
+    displayName: 'Bob',
+    timestamp: Date.now(),
+    content
+  };
+  bob.sendReliable(packet);
+  await delay(300);
+  assert.strictEqual(bob.pendingDeliveries.get(packet.messageId).acked.size, 0);
+  assert.deepStrictEqual(alice.getMessages()[0].reactions.map(reaction => reaction.emoji), ['👍🏽']);
+});
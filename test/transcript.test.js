@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { createTranscript, formatTranscript, getAttachmentName, parseTranscript } = require('../src/core/transcript');
+const { createZip } = require('../src/core/zip');
+const { createRoom, nextEvent, waitForPeers, text } = require('./helpers');
+
+// Transcript export and import, and the zip attachments are bundled in
+
+test('a JSON transcript loads back as it was exported', async (t) => {
+  const room = createRoom();
+  t.after(room.closeAll);
+  const alice = await room.join('Alice');
+  const bob = await room.join('Bob');
+  await waitForPeers([alice, bob]);
+
+  const { message: question } = alice.sendChatMessage(text('release today?'));
+  await nextEvent(bob, 'message');
+  const { message: reply } = bob.sendChatMessage({ ...text('after lunch'), replyTo: question.id });
+  await nextEvent(alice, 'message');
+  alice.editMessage(question.id, text('release today? <b>really</b>'));
+  const reacted = nextEvent(alice, 'message-updated');
+  bob.toggleReaction(question.id, '👍');
+  await reacted;
+  const { message: gone } = alice.sendChatMessage(text('typo'));
+  alice.deleteMessage(gone.id);
+
+  const file = { id: 'f'.repeat(32), name: 'notes/1.txt', size: 5, hash: 'abc' };
+  const messages = alice.getMessages();
+  messages[1] = { ...messages[1], files: [file], structure: [...messages[1].structure, { type: 'file', id: file.id }] };
+  const attachments = new Map([[file.id, getAttachmentName(file)]]);
+
+  const transcript = createTranscript({ roomName: alice.roomName, exportedBy: 'Alice', messages, attachments });
+  const loaded = parseTranscript(formatTranscript(transcript, 'json'));
+
+  assert.deepStrictEqual(loaded, transcript);
+  assert.strictEqual(loaded.messages.length, 3);
+  assert.strictEqual(loaded.messages[0].reactions[0].emoji, '👍');
+  assert.strictEqual(loaded.messages[1].replyTo, question.id);
+  assert.strictEqual(loaded.messages[1].id, reply.id);
+  assert.strictEqual(loaded.messages[1].files[0].attachment, 'ffffffff-notes_1.txt');
+  assert.ok(loaded.messages[2].deletedAt);
+  assert.deepStrictEqual(loaded.messages[2].structure, []);
+
+  const html = formatTranscript(transcript, 'html');
+  assert.ok(html.includes('&lt;b&gt;really&lt;/b&gt;'));
+  assert.ok(!html.includes('<b>really</b>'));
+  assert.ok(formatTranscript(transcript, 'markdown').includes('> ↪ Alice: release today?'));
+});
+
+test('importing keeps only well-formed transcript fields', () => {
+  assert.throws(() => parseTranscript('not json'), /Not a JSON file/);
+  assert.throws(() => parseTranscript('{"format":"other","messages":[]}'), /Not an exported transcript/);
+  assert.throws(() => parseTranscript('{"format":"localchat-transcript","version":2,"messages":[]}'), /Unsupported transcript version 2/);
+
+  const loaded = parseTranscript(JSON.stringify({
+    format: 'localchat-transcript',
+    version: 1,
+    messages: [
+      { id: 'b', timestamp: 2, structure: [{ type: 'file', id: 'missing' }, { type: 'text', content: 'hi' }], reactions: [{ emoji: '🎉', count: -1 }] },
+      { id: 'a', timestamp: 1, structure: [], sender: 42 },
+      { id: 'no timestamp', structure: [] },
+      null
+    ]
+  }));
+  assert.deepStrictEqual(loaded.messages.map(message => message.id), ['a', 'b']);
+  assert.strictEqual(loaded.messages[0].sender, 'Anonymous');
+  assert.deepStrictEqual(loaded.messages[1].structure, [{ type: 'text', content: 'hi' }]);
+  assert.deepStrictEqual(loaded.messages[1].reactions, []);
+});
+
+test('zip entries unpack to what went in', () => {
+  const entries = [
+    { name: 'notes.txt', data: Buffer.from('hello '.repeat(100)) },
+    { name: 'päckchen.bin', data: Buffer.from([0, 1, 2, 3]) }
+  ];
+  const zip = createZip(entries);
+
+  let offset = 0;
+  entries.forEach(({ name, data }) => {
+    assert.strictEqual(zip.readUInt32LE(offset), 0x04034b50);
+    const method = zip.readUInt16LE(offset + 8);
+    const compressedSize = zip.readUInt32LE(offset + 18);
+    const nameLength = zip.readUInt16LE(offset + 26);
+    assert.strictEqual(zip.toString('utf8', offset + 30, offset + 30 + nameLength), name);
+
+    const start = offset + 30 + nameLength;
+    const body = zip.subarray(start, start + compressedSize);
+    assert.ok(data.equals(method === 8 ? zlib.inflateRawSync(body) : body));
+    offset = start + compressedSize;
+  });
+
+  // End of central directory: the entry count and where the directory starts
+  const end = zip.subarray(zip.length - 22);
+  assert.strictEqual(end.readUInt32LE(0), 0x06054b50);
+  assert.strictEqual(end.readUInt16LE(10), entries.length);
+  assert.strictEqual(end.readUInt32LE(16), offset);
+});